@@ -0,0 +1,79 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+
+// Post a prompt with an accept and a reject button in reply to the command and wait for a decision.
+// checkClick(interaction, accepting) returns null to take the click, otherwise an ephemeral reason to ignore it.
+// Resolves to { approved: true, approver } or { approved: false, reason: 'denied' | 'expired' }.
+async function awaitDecision(ctx, { title, description, prompt, labels, timeoutMs, checkClick }) {
+    const expiresAt = Math.floor((Date.now() + timeoutMs) / 1000);
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('accept').setLabel(labels.accept).setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId('reject').setLabel(labels.reject).setStyle(ButtonStyle.Secondary)
+    );
+
+    const message = await ctx.reply({
+        content: `🔐 **${title}**\n${description}\n\n${prompt} <t:${expiresAt}:R>.`,
+        components: [buttons]
+    });
+
+    return new Promise(resolve => {
+        let result = { approved: false, reason: 'expired' };
+        const collector = message.createMessageComponentCollector({ componentType: ComponentType.Button, time: timeoutMs });
+
+        collector.on('collect', async interaction => {
+            const accepting = interaction.customId === 'accept';
+            const reason = checkClick(interaction, accepting);
+            if (reason) {
+                await interaction.reply({ content: reason, ephemeral: true }).catch(() => {});
+                return;
+            }
+
+            result = accepting ? { approved: true, approver: interaction.user } : { approved: false, reason: 'denied' };
+            await interaction.update({
+                content: `🔐 **${title}**\n${description}\n\n` +
+                    `${accepting ? labels.accepted : labels.rejected} by ${interaction.user}.`,
+                components: []
+            }).catch(() => {});
+            collector.stop(result.reason || 'approved');
+        });
+
+        collector.on('end', async (collected, reason) => {
+            if (reason === 'time') {
+                await message.edit({
+                    content: `🔐 **${title}**\n${description}\n\nNo answer in time, nothing was done.`,
+                    components: []
+                }).catch(() => {});
+            }
+            resolve(result);
+        });
+    });
+}
+
+// Ask the member who ran the command to confirm before it runs
+async function requestConfirmation(ctx, { title, description, timeoutMs }) {
+    return awaitDecision(ctx, {
+        title,
+        description,
+        prompt: `${ctx.user}, confirm`,
+        labels: { accept: 'Confirm', reject: 'Cancel', accepted: 'Confirmed', rejected: 'Cancelled' },
+        timeoutMs,
+        checkClick: interaction => interaction.user.id === ctx.user.id ? null : `Only ${ctx.user} can answer this.`
+    });
+}
+
+// Ask a second member to approve an action before it runs. The requester can only deny.
+// canApprove(member, channelId) returns null when the member may approve, otherwise the reason they can't.
+async function requestApproval(ctx, { title, description, timeoutMs, canApprove }) {
+    return awaitDecision(ctx, {
+        title: `${title} needs a second approval`,
+        description,
+        prompt: `Requested by ${ctx.user}. Another member allowed to run it must approve`,
+        labels: { accept: 'Approve', reject: 'Deny', accepted: `Requested by ${ctx.user}, approved`, rejected: `Requested by ${ctx.user}, denied` },
+        timeoutMs,
+        checkClick: (interaction, accepting) => {
+            if (interaction.user.id !== ctx.user.id) return canApprove(interaction.member, interaction.channelId);
+            return accepting ? 'A second member has to approve your own request.' : null;
+        }
+    });
+}
+
+module.exports = { requestApproval, requestConfirmation };
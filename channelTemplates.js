@@ -0,0 +1,72 @@
+// Channel name templates: {placeholder} or {placeholder:format}, e.g. "Members: {count:short}"
+
+const PLACEHOLDERS = {
+    count: 'Members counted by the channel (all members for total and stat channels)',
+    percent: 'count as a percentage of all members',
+    delta_24h: 'Change in count over the last 24 hours',
+    total: 'All members',
+    verified: 'Verified members',
+    unverified: 'Unverified members',
+    online: 'Members currently online'
+};
+// short: 12.3k, raw: 12345, default: locale thousands separators (12,345)
+const FORMATS = ['short', 'raw'];
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::(\w+))?\}/g;
+// Discord's channel name limit
+const MAX_NAME_LENGTH = 100;
+
+// Throws an Error naming the first unknown placeholder or format
+function validateTemplate(template) {
+    for (const [, name, format] of String(template).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!PLACEHOLDERS[name]) {
+            throw new Error(`unknown placeholder {${name}}, use one of: ${Object.keys(PLACEHOLDERS).map(key => `{${key}}`).join(', ')}`);
+        }
+        if (format !== undefined && !FORMATS.includes(format)) {
+            throw new Error(`unknown format {${name}:${format}}, use ${FORMATS.join(' or ')}`);
+        }
+    }
+}
+
+function usesPlaceholder(template, name) {
+    return Array.from(String(template || '').matchAll(PLACEHOLDER_PATTERN)).some(match => match[1] === name);
+}
+
+function formatShort(value, locale) {
+    const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'k']];
+    const unit = units.find(([size]) => Math.abs(value) >= size);
+    if (!unit) return value.toLocaleString(locale, { maximumFractionDigits: 1 });
+    return (value / unit[0]).toLocaleString(locale, { maximumFractionDigits: 1 }) + unit[1];
+}
+
+function formatValue(name, value, format, { locale, decimals }) {
+    // Values that aren't known yet, e.g. {delta_24h} before a day of history
+    if (value === null || value === undefined || Number.isNaN(value)) return '?';
+
+    const fractionDigits = name === 'percent' ? decimals : 0;
+    let text;
+    if (format === 'short') {
+        text = formatShort(Math.abs(value), locale);
+    } else if (format === 'raw') {
+        text = Math.abs(value).toFixed(fractionDigits);
+    } else {
+        text = Math.abs(value).toLocaleString(locale, { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits });
+    }
+
+    if (name === 'delta_24h') return (value > 0 ? '+' : value < 0 ? '-' : '') + text;
+    return value < 0 ? '-' + text : text;
+}
+
+// values: { count, percent, delta_24h, total, verified, unverified, online }, null when unknown
+// options.decimals sets the precision of {percent}
+function renderChannelName(template, values, { locale = 'en-US', decimals = 1 } = {}) {
+    const name = template.replace(PLACEHOLDER_PATTERN, (match, placeholder, format) =>
+        PLACEHOLDERS[placeholder] ? formatValue(placeholder, values[placeholder], format, { locale, decimals }) : match);
+    return name.slice(0, MAX_NAME_LENGTH);
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    renderChannelName,
+    usesPlaceholder,
+    validateTemplate
+};
@@ -0,0 +1,77 @@
+// Command contexts let the same command logic answer both prefix messages and slash interactions.
+// Every context exposes: guild, channel, member, user, send(payload), reply(payload), replyError(content)
+
+// Context for a prefix command parsed from messageCreate
+function createMessageContext(message) {
+    return {
+        guild: message.guild,
+        channel: message.channel,
+        member: message.member,
+        user: message.author,
+        send: payload => message.channel.send(payload),
+        reply: payload => message.reply(payload),
+        replyError: content => message.reply(content)
+    };
+}
+
+// Context for a slash command interaction
+// The first response edits the (deferred) interaction reply, later ones go to the channel
+// since interaction tokens expire after 15 minutes and exports can run for hours
+function createInteractionContext(interaction) {
+    let responded = false;
+
+    async function respond(payload) {
+        if (!responded) {
+            responded = true;
+            if (interaction.deferred) return interaction.editReply(payload);
+            return interaction.reply({ ...toPayload(payload), fetchReply: true });
+        }
+        return interaction.channel.send(payload);
+    }
+
+    async function replyError(content) {
+        if (!responded) {
+            responded = true;
+            if (interaction.deferred) {
+                // A deferred reply can't be made ephemeral, so replace it with an ephemeral follow-up
+                await interaction.deleteReply().catch(() => {});
+                return interaction.followUp({ content, ephemeral: true });
+            }
+            return interaction.reply({ content, ephemeral: true });
+        }
+        return interaction.followUp({ content, ephemeral: true });
+    }
+
+    return {
+        guild: interaction.guild,
+        channel: interaction.channel,
+        member: interaction.member,
+        user: interaction.user,
+        send: respond,
+        reply: respond,
+        replyError
+    };
+}
+
+// Context for scheduled reports, which post straight to a channel with no command to answer
+function createChannelContext(channel) {
+    return {
+        guild: channel.guild,
+        channel,
+        member: channel.guild.members.me,
+        user: channel.client.user,
+        send: payload => channel.send(payload),
+        reply: payload => channel.send(payload),
+        replyError: content => channel.send(content)
+    };
+}
+
+function toPayload(payload) {
+    return typeof payload === 'string' ? { content: payload } : payload;
+}
+
+module.exports = {
+    createMessageContext,
+    createInteractionContext,
+    createChannelContext
+};
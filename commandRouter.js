@@ -0,0 +1,198 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { createMessageContext } = require('./commandContext');
+const { parseArgs } = require('./utils');
+
+const PREFIX = '!';
+// key=value options (values may be quoted) or single words
+const TOKEN_PATTERN = /\w+=(?:"[^"]*"|\S+)|\S+/g;
+
+// "KickMembers" -> "Kick Members"
+function describePermission(name) {
+    return name.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+// Permission rule for a command: the entries in config.permissions.commands for the command
+// and its groups ("purge status" over "purge"), merged over config.permissions.default and the
+// allowedRoles / allowedChannels settings. Each rule has roles, users, channels and permissions.
+function getPermissionRule(config, commandName) {
+    let rule = {
+        roles: config.allowedRoles || [],
+        users: [],
+        channels: config.allowedChannels || [],
+        permissions: [],
+        ...(config.permissions?.default || {})
+    };
+
+    const commands = config.permissions?.commands || {};
+    const words = commandName.split(' ');
+    for (let i = 1; i <= words.length; i++) {
+        rule = { ...rule, ...(commands[words.slice(0, i).join(' ')] || {}) };
+    }
+    return rule;
+}
+
+// Why a member can't use a command here, or null if they can.
+// Channels must match; then any listed role (ID, or name for older configs), user or Discord permission grants access.
+function getDenialReason(config, commandName, { guild, member, channelId }) {
+    const rule = getPermissionRule(config, commandName);
+    const display = `\`${PREFIX}${commandName}\``;
+
+    if (rule.channels.length > 0 && !rule.channels.includes(channelId)) {
+        return `${display} can't be used in this channel. Use it in ${rule.channels.map(id => `<#${id}>`).join(', ')}.`;
+    }
+
+    const allowed = rule.users.includes(member.id) ||
+        member.roles.cache.some(role => rule.roles.includes(role.id) || rule.roles.includes(role.name)) ||
+        rule.permissions.some(name => member.permissions.has(PermissionFlagsBits[name]));
+    if (allowed) return null;
+
+    // Role names rather than mentions, so the reply doesn't ping anyone
+    const requirements = [
+        ...rule.roles.map(role => `the ${guild.roles.cache.get(role)?.name ?? role} role`),
+        ...rule.permissions.map(name => `the ${describePermission(name)} permission`),
+        ...(rule.users.length > 0 ? ['to be on the allowed user list'] : [])
+    ];
+    return requirements.length > 0 ?
+        `You don't have permission to use ${display}. It requires ${requirements.join(' or ')}.` :
+        `${display} is not enabled for anyone on this server.`;
+}
+
+// Registry of prefix commands. Every command goes through the same parsing and permission checks.
+// register({ name, usage, description, positional, public, run }):
+// - name: the command words without the prefix, e.g. "count export status"
+// - positional: how many plain words may follow the name (default 0, Infinity for any)
+// - public: skip the permission check (only !help)
+// - run(ctx, options, positional): options are the key=value arguments with lowercased keys
+function createCommandRouter(client, { getGuildConfig, debugLog }) {
+    const commands = new Map();
+
+    function register(command) {
+        commands.set(command.name, { positional: 0, ...command });
+    }
+
+    function checkAccess(commandName, target) {
+        return getDenialReason(getGuildConfig(target.guild.id), commandName, target);
+    }
+
+    // The registered command with the longest name matching the leading words
+    function resolve(content) {
+        const tokens = content.slice(PREFIX.length).match(TOKEN_PATTERN) || [];
+        const words = [];
+        for (const token of tokens) {
+            if (/^\w+=/.test(token)) break;
+            words.push(token);
+        }
+
+        for (let i = words.length; i > 0; i--) {
+            const command = commands.get(words.slice(0, i).join(' ').toLowerCase());
+            if (command) {
+                const positional = tokens.filter(token => !/^\w+=/.test(token)).slice(i);
+                return { command, positional, root: words[0].toLowerCase() };
+            }
+        }
+        return { command: null, positional: [], root: (words[0] || '').toLowerCase() };
+    }
+
+    function isKnownRoot(root) {
+        return Array.from(commands.keys()).some(name => name.split(' ')[0] === root);
+    }
+
+    function buildHelp(ctx, topic) {
+        const target = { guild: ctx.guild, member: ctx.member, channelId: ctx.channel.id };
+        const matching = Array.from(commands.values())
+            .filter(command => !command.public)
+            .filter(command => !topic || command.name === topic || command.name.startsWith(`${topic} `));
+
+        if (topic && matching.length === 0) {
+            return `No command \`${PREFIX}${topic}\`. Use \`${PREFIX}help\` to list commands.`;
+        }
+
+        const usable = matching.filter(command => !checkAccess(command.name, target));
+        // A topic shows its commands even when they can't be used, with the reason
+        const shown = topic ? matching : usable;
+        if (shown.length === 0) {
+            return 'You don\'t have access to any commands in this channel.';
+        }
+
+        const lines = [topic ? `**Commands for \`${PREFIX}${topic}\`**` : '**Commands you can use here**'];
+        for (const command of shown) {
+            lines.push(`\`${command.usage || PREFIX + command.name}\` - ${command.description}`);
+            const denial = topic ? checkAccess(command.name, target) : null;
+            if (denial) lines.push(`  ⛔ ${denial}`);
+        }
+        if (!topic) lines.push('', `Use \`${PREFIX}help <command>\` for one command group, e.g. \`${PREFIX}help purge\`.`);
+        return lines.join('\n');
+    }
+
+    register({
+        name: 'help',
+        usage: `${PREFIX}help [command]`,
+        description: 'List the commands you can use here',
+        positional: Infinity,
+        public: true,
+        run: async (ctx, options, positional) => {
+            const topic = positional.join(' ').toLowerCase().replace(new RegExp(`^\\${PREFIX}`), '');
+            const help = buildHelp(ctx, topic);
+            // Split long help across messages at line boundaries
+            let message = '';
+            for (const line of help.split('\n')) {
+                if (message.length + line.length + 1 > 1900) {
+                    await ctx.send(message);
+                    message = '';
+                }
+                message += line + '\n';
+            }
+            await ctx.send(message);
+        }
+    });
+
+    client.on('messageCreate', async message => {
+        if (!message.inGuild() || message.author.bot || !message.content.startsWith(PREFIX)) return;
+
+        const content = message.content.trim();
+        const { command, positional, root } = resolve(content);
+
+        // Replies can fail too, e.g. without Send Messages or when the message was deleted
+        try {
+            if (!command) {
+                // Only answer for our own commands, not other bots sharing the prefix
+                if (isKnownRoot(root)) {
+                    await message.reply(`Unknown command \`${content.split(/\s+/).slice(0, 3).join(' ')}\`. Use \`${PREFIX}help ${root}\` to see the ${root} commands.`);
+                }
+                return;
+            }
+
+            debugLog('Command received', {
+                channel: message.channel.id,
+                user: message.author.tag,
+                command: command.name
+            });
+
+            if (!command.public) {
+                const denial = checkAccess(command.name, { guild: message.guild, member: message.member, channelId: message.channel.id });
+                if (denial) {
+                    debugLog(`Command ${command.name} denied for ${message.author.tag}`);
+                    await message.reply(denial);
+                    return;
+                }
+            }
+
+            if (positional.length > command.positional) {
+                await message.reply(`Usage: \`${command.usage || PREFIX + command.name}\`. Use \`${PREFIX}help ${root}\` to see the ${root} commands.`);
+                return;
+            }
+
+            await command.run(createMessageContext(message), parseArgs(content), positional);
+        } catch (error) {
+            debugLog(`Error in command ${command ? command.name : root}:`, error);
+        }
+    });
+
+    return { register, checkAccess, buildHelp };
+}
+
+module.exports = {
+    PERMISSION_NAMES: Object.keys(PermissionFlagsBits),
+    createCommandRouter,
+    getPermissionRule
+};
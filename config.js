@@ -0,0 +1,240 @@
+const { validateSchedule } = require('./scheduler');
+const { validateTemplate } = require('./channelTemplates');
+const { PERMISSION_NAMES } = require('./commandRouter');
+const fs = require('fs');
+
+// Per-guild configuration file; guilds not listed fall back to the .env settings
+const GUILD_CONFIG_FILE = process.env.GUILD_CONFIG_FILE || 'guilds.json';
+
+// Emoji and percentage precision the legacy COUNT_ROLE_1..6 slots used, by position
+const LEGACY_TIER_EMOJIS = ['', '🌱', '🌼', '🌲', '🌳', '🥼'];
+const LEGACY_TIER_DECIMALS = [1, 1, 2, 2, 3, 3];
+
+function splitList(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+// Build tier definitions from the legacy COUNT_ROLE_n / SCHEDULED_ROLE_n variables
+function loadEnvTiers() {
+    const tiers = [];
+    for (let i = 1; i <= 6; i++) {
+        const roleId = process.env[`COUNT_ROLE_${i}`];
+        if (roleId) {
+            tiers.push({
+                roleId,
+                emoji: LEGACY_TIER_EMOJIS[i - 1],
+                decimals: LEGACY_TIER_DECIMALS[i - 1]
+            });
+        }
+    }
+
+    for (let i = 1; i <= 6; i++) {
+        const roleId = process.env[`SCHEDULED_ROLE_${i}`];
+        const channelId = process.env[`SCHEDULED_CHANNEL_${i}`];
+        const nameFormat = process.env[`SCHEDULED_CHANNEL_NAME_${i}`];
+        if (!roleId || !channelId || !nameFormat) continue;
+
+        // Scheduled roles that aren't count roles still get a channel, but stay out of the !count embed
+        const tier = tiers.find(t => t.roleId === roleId);
+        if (tier) {
+            Object.assign(tier, { channelId, nameFormat });
+        } else {
+            tiers.push({ roleId, channelId, nameFormat, hidden: true });
+        }
+    }
+
+    return tiers;
+}
+
+// Stat channels from STAT_CHANNEL_n / STAT_CHANNEL_NAME_n, not tied to a role
+function loadEnvStatChannels() {
+    const statChannels = [];
+    for (let i = 1; i <= 10; i++) {
+        const channelId = process.env[`STAT_CHANNEL_${i}`];
+        const nameFormat = process.env[`STAT_CHANNEL_NAME_${i}`];
+        if (channelId && nameFormat) statChannels.push({ channelId, nameFormat });
+    }
+    return statChannels;
+}
+
+// Per-group permission rules from <GROUP>_ALLOWED_ROLES / _CHANNELS / _PERMISSIONS,
+// e.g. PURGE_ALLOWED_ROLES; groups without them use ALLOWED_ROLES and ALLOWED_CHANNELS
+const COMMAND_GROUPS = ['count', 'extract', 'purge', 'schedule'];
+
+function loadEnvPermissions() {
+    const commands = {};
+    for (const group of COMMAND_GROUPS) {
+        const rule = {};
+        for (const key of ['roles', 'channels', 'permissions']) {
+            const value = process.env[`${group.toUpperCase()}_ALLOWED_${key.toUpperCase()}`];
+            if (value !== undefined) rule[key] = splitList(value);
+        }
+        if (Object.keys(rule).length > 0) commands[group] = rule;
+    }
+    return { commands };
+}
+
+// Build the default guild config from environment variables
+function loadEnvConfig() {
+    return {
+        allowedRoles: splitList(process.env.ALLOWED_ROLES),
+        allowedChannels: splitList(process.env.ALLOWED_CHANNELS),
+        verifiedRoleId: process.env.VERIFIED_ROLE,
+        ignoredRoleIds: splitList(process.env.IGNORED_ROLE),
+        tiers: loadEnvTiers(),
+        totalMemberCountChannelId: process.env.TOTAL_MEMBER_COUNT_CHANNEL_ID,
+        totalMemberCountNameFormat: process.env.TOTAL_MEMBER_COUNT_NAME_FORMAT,
+        statChannels: loadEnvStatChannels(),
+        numberLocale: process.env.NUMBER_LOCALE || 'en-US',
+        intervalMinutes: parseInt(process.env.INTERVAL_MINUTES) || 5,
+        reconcileMinutes: parseInt(process.env.RECONCILE_MINUTES) || 60,
+        purgeAuditChannelId: process.env.PURGE_AUDIT_CHANNEL_ID,
+        purgeWarningTemplate: process.env.PURGE_WARNING_TEMPLATE,
+        verificationInstructions: process.env.VERIFICATION_INSTRUCTIONS,
+        permissions: loadEnvPermissions(),
+        purgeApproval: process.env.PURGE_APPROVAL === 'true',
+        purgeApprovalMinutes: parseInt(process.env.PURGE_APPROVAL_MINUTES) || 10,
+        schedules: []
+    };
+}
+
+// Validate one tier definition: { roleId, label?, emoji?, decimals?, channelId?, nameFormat?, hidden? }
+function validateTier(guildId, tier, index) {
+    const where = `Guild config for ${guildId}: tiers[${index}]`;
+    if (!tier || typeof tier !== 'object' || !tier.roleId) {
+        throw new Error(`${where} needs a roleId`);
+    }
+    if (Boolean(tier.channelId) !== Boolean(tier.nameFormat)) {
+        throw new Error(`${where} needs both channelId and nameFormat to update a channel`);
+    }
+    if (tier.decimals !== undefined && (!Number.isInteger(tier.decimals) || tier.decimals < 0 || tier.decimals > 6)) {
+        throw new Error(`${where} decimals must be an integer between 0 and 6`);
+    }
+    if (tier.nameFormat) validateNameFormat(`${where} nameFormat`, tier.nameFormat);
+}
+
+// Validate one stat channel: { channelId, nameFormat }
+function validateStatChannel(guildId, statChannel, index) {
+    const where = `Guild config for ${guildId}: statChannels[${index}]`;
+    if (!statChannel || typeof statChannel !== 'object' || !statChannel.channelId || !statChannel.nameFormat) {
+        throw new Error(`${where} needs a channelId and nameFormat`);
+    }
+    validateNameFormat(`${where} nameFormat`, statChannel.nameFormat);
+}
+
+// Check a channel name template; label says where it came from
+function validateNameFormat(label, nameFormat) {
+    try {
+        validateTemplate(nameFormat);
+    } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+    }
+}
+
+// Validate one scheduled report: { cron, type, channelId, format? }
+function validateScheduleEntry(guildId, schedule, index) {
+    const where = `Guild config for ${guildId}: schedules[${index}]`;
+    if (!schedule || typeof schedule !== 'object' || !schedule.channelId) {
+        throw new Error(`${where} needs a channelId`);
+    }
+    try {
+        validateSchedule(schedule);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+}
+
+// Validate one permission rule: { roles?, users?, channels?, permissions? }
+function validatePermissionRule(where, rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${where} must be an object`);
+    }
+    for (const key of ['roles', 'users', 'channels', 'permissions']) {
+        if (rule[key] !== undefined && !Array.isArray(rule[key])) {
+            throw new Error(`${where}: ${key} must be an array`);
+        }
+    }
+    for (const name of rule.permissions || []) {
+        if (!PERMISSION_NAMES.includes(name)) {
+            throw new Error(`${where}: unknown Discord permission ${name}, use names like KickMembers or ManageGuild`);
+        }
+    }
+}
+
+// Validate the permissions block: { default?: rule, commands?: { "<command>": rule } }
+function validatePermissions(guildId, permissions) {
+    const where = `Guild config for ${guildId}: permissions`;
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+        throw new Error(`${where} must be an object`);
+    }
+    if (permissions.default !== undefined) validatePermissionRule(`${where}.default`, permissions.default);
+    for (const [command, rule] of Object.entries(permissions.commands || {})) {
+        validatePermissionRule(`${where}.commands["${command}"]`, rule);
+    }
+}
+
+// Validate one guild entry from the config file and merge it over the defaults
+function buildGuildConfig(guildId, entry, defaults) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`Guild config for ${guildId} must be an object`);
+    }
+
+    for (const key of ['allowedRoles', 'allowedChannels', 'ignoredRoleIds', 'tiers', 'schedules', 'statChannels']) {
+        if (entry[key] !== undefined && !Array.isArray(entry[key])) {
+            throw new Error(`Guild config for ${guildId}: ${key} must be an array`);
+        }
+    }
+
+    (entry.tiers || []).forEach((tier, i) => validateTier(guildId, tier, i));
+    (entry.schedules || []).forEach((schedule, i) => validateScheduleEntry(guildId, schedule, i));
+    (entry.statChannels || []).forEach((statChannel, i) => validateStatChannel(guildId, statChannel, i));
+    if (entry.permissions !== undefined) validatePermissions(guildId, entry.permissions);
+    if (entry.totalMemberCountNameFormat) {
+        validateNameFormat(`Guild config for ${guildId}: totalMemberCountNameFormat`, entry.totalMemberCountNameFormat);
+    }
+
+    const config = { ...defaults, ...entry, guildId };
+    config.intervalMinutes = parseInt(config.intervalMinutes) || defaults.intervalMinutes;
+    config.reconcileMinutes = parseInt(config.reconcileMinutes) || defaults.reconcileMinutes;
+    config.purgeApprovalMinutes = parseInt(config.purgeApprovalMinutes) || defaults.purgeApprovalMinutes;
+    return config;
+}
+
+function loadGuildConfigs(defaults) {
+    if (!fs.existsSync(GUILD_CONFIG_FILE)) return new Map();
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(GUILD_CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read ${GUILD_CONFIG_FILE}: ${error.message}`);
+    }
+
+    return new Map(Object.entries(data).map(([guildId, entry]) => [guildId, buildGuildConfig(guildId, entry, defaults)]));
+}
+
+const envConfig = loadEnvConfig();
+// Name templates from .env are checked up front like the ones in the config file
+for (const { roleId, nameFormat } of envConfig.tiers) {
+    if (nameFormat) validateNameFormat(`SCHEDULED_CHANNEL_NAME for role ${roleId}`, nameFormat);
+}
+for (const { channelId, nameFormat } of envConfig.statChannels) {
+    validateNameFormat(`STAT_CHANNEL_NAME for channel ${channelId}`, nameFormat);
+}
+if (envConfig.totalMemberCountNameFormat) {
+    validateNameFormat('TOTAL_MEMBER_COUNT_NAME_FORMAT', envConfig.totalMemberCountNameFormat);
+}
+for (const [group, rule] of Object.entries(envConfig.permissions.commands)) {
+    validatePermissionRule(`${group.toUpperCase()}_ALLOWED_PERMISSIONS`, rule);
+}
+const guildConfigs = loadGuildConfigs(envConfig);
+
+// Resolve the configuration for a guild
+function getGuildConfig(guildId) {
+    return guildConfigs.get(guildId) || { ...envConfig, guildId };
+}
+
+module.exports = {
+    GUILD_CONFIG_FILE,
+    getGuildConfig
+};
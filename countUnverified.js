@@ -1,76 +1,314 @@
-const { EmbedBuilder } = require('discord.js');
-
-function setupCountUnverifiedCommand(client, { allowedChannels, allowedRoles, verifiedRoleId, debugLog }) {
-    client.on('messageCreate', async message => {
-        if (message.content.trim() !== '!count unverified') return;
-        
-        debugLog('Count unverified command received', {
-            channel: message.channel.id,
-            user: message.author.tag
-        });
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+const { parseDuration } = require('./utils');
+const { parseExportFormat, writeExport } = require('./exportWriter');
+const { sendExportFile } = require('./exportDelivery');
+const { MEMBER_COLUMNS } = require('./unverified');
+const fs = require('fs');
+const path = require('path');
 
-        // Check channel permission
-        if (!allowedChannels.includes(message.channel.id)) {
-            debugLog('Command used in unauthorized channel');
-            return;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 20;
+// Keeps a page within the 4096 character embed description
+const MAX_PAGE_SIZE = 30;
+// Buttons stop working after this; run the command again for fresh data
+const PAGER_TIMEOUT_MS = 15 * 60 * 1000;
+const SORTS = {
+    joined: { label: 'join date', key: entry => entry.joinedTimestamp },
+    account: { label: 'account creation date', key: entry => entry.createdTimestamp }
+};
+// joined>7d: joined more than 7 days ago, account<30d: account younger than 30 days
+const FILTER_PATTERN = /^(joined|account)([<>])(\w+)$/i;
+const LIST_COLUMNS = [
+    { key: 'number', header: 'Number', type: 'number' },
+    ...MEMBER_COLUMNS,
+    { key: 'daysUnverified', header: 'Days Unverified', type: 'number' }
+];
+
+// Listing options from { size, sort, page, format } and filter words; throws with a user-facing message.
+// The full list is attached as a file when format is given or one of the words is csv.
+function parseListQuery(options, words) {
+    const size = options.size !== undefined ? parseInt(options.size) : DEFAULT_PAGE_SIZE;
+    if (isNaN(size) || size < 1 || size > MAX_PAGE_SIZE) {
+        throw new Error(`Invalid size. Please specify a number between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+
+    const sort = (options.sort || 'joined').toLowerCase();
+    if (!SORTS[sort]) {
+        throw new Error(`Invalid sort. Use ${Object.keys(SORTS).join(' or ')}.`);
+    }
+
+    const page = options.page !== undefined ? parseInt(options.page) : 1;
+    if (isNaN(page) || page < 1) {
+        throw new Error('Invalid page. Please specify a positive number.');
+    }
+
+    const format = parseExportFormat(options.format);
+
+    const filters = [];
+    let attach = options.format !== undefined;
+    for (const word of words) {
+        if (word.toLowerCase() === 'csv') {
+            attach = true;
+            continue;
+        }
+        const match = FILTER_PATTERN.exec(word);
+        const durationMs = match && parseDuration(match[3]);
+        if (!durationMs) {
+            throw new Error(`Invalid filter \`${word}\`. Use filters like \`joined>7d\` or \`account<30d\` (m, h, d or w).`);
+        }
+        filters.push({ field: match[1].toLowerCase(), older: match[2] === '>', durationMs, text: word.toLowerCase() });
+    }
+
+    return { size, sort, page, filters, format, attach };
+}
+
+function matchesFilters(entry, filters, now) {
+    return filters.every(({ field, older, durationMs }) => {
+        const age = now - (field === 'joined' ? entry.joinedTimestamp : entry.createdTimestamp);
+        return older ? age > durationMs : age < durationMs;
+    });
+}
+
+function buildListRows(entries) {
+    const now = Date.now();
+    return entries.map(entry => [
+        entry.number,
+        entry.id,
+        entry.username,
+        entry.displayName,
+        entry.joinedTimestamp,
+        entry.createdTimestamp,
+        Math.floor((now - entry.joinedTimestamp) / DAY_MS)
+    ]);
+}
+
+function buildPagerRow(page, pageCount, format, disabled = false) {
+    const button = (id, label, isDisabled) => new ButtonBuilder()
+        .setCustomId(id)
+        .setLabel(label)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled || isDisabled);
+    return new ActionRowBuilder().addComponents(
+        button('first', '⏮', page <= 1),
+        button('prev', '◀ Prev', page <= 1),
+        button('next', 'Next ▶', page >= pageCount),
+        button('last', '⏭', page >= pageCount),
+        button('file', `📄 ${format.toUpperCase()}`, false).setStyle(ButtonStyle.Primary)
+    );
+}
+
+function setupCountUnverifiedCommand(client, { getGuildConfig, debugLog, commands }) {
+    // Page of the listing as an embed; entries keep their number in join order whatever the sort
+    function buildPage(listing, page) {
+        const { entries, query, total, pageCount } = listing;
+        const lines = entries.slice((page - 1) * query.size, page * query.size).map(entry =>
+            `${entry.number}. <@${entry.id}> joined <t:${Math.floor(entry.joinedTimestamp / 1000)}:R>, ` +
+            `account created <t:${Math.floor(entry.createdTimestamp / 1000)}:R>`);
+
+        const filterText = query.filters.map(filter => filter.text).join(' ');
+        const embed = new EmbedBuilder()
+            .setTitle(`Total Unverified Members: ${total}`)
+            .setColor(0xF2B518)
+            .setDescription((filterText ? `${entries.length} matching \`${filterText}\`\n\n` : '') +
+                (lines.join('\n') || 'No unverified members match these filters.'))
+            .setFooter({ text: `Page ${page}/${pageCount} • Sorted by ${SORTS[query.sort].label}` });
+        return embed;
+    }
+
+    // Write the full listing in its format and send it to target (anything with guild and send(payload)).
+    // The file is only removed once it has been delivered
+    async function sendListFile(target, listing) {
+        const { format } = listing.query;
+        const fileName = `unverified_members_${new Date().toISOString().split('T')[0]}.${format}`;
+        const filePath = path.join(process.cwd(), `unverified_members_${Date.now()}.${format}`);
+        const rows = buildListRows(listing.entries);
+
+        await writeExport(filePath, format, LIST_COLUMNS, rows, { sheetName: 'Members' });
+        try {
+            await sendExportFile(target, { filePath, fileName, format, columns: LIST_COLUMNS, sheetName: 'Members', rows },
+                `${listing.entries.length} unverified member(s)`);
+        } catch (error) {
+            debugLog(`Unverified list kept locally at ${filePath}`);
+            throw error;
         }
+        await fs.promises.unlink(filePath).catch(() => {});
+    }
 
-        // Check role permission
-        const memberRoles = message.member.roles.cache.map(role => role.name);
-        if (!allowedRoles.some(role => memberRoles.includes(role))) {
-            debugLog('Command used by unauthorized user');
+    // Sends for the file button: the first edits the deferred ephemeral reply, the rest
+    // (parts of a split file) follow up, so only whoever pressed it sees the file
+    function createEphemeralTarget(interaction) {
+        let responded = false;
+        return {
+            guild: interaction.guild,
+            send: payload => {
+                if (!responded) {
+                    responded = true;
+                    return interaction.editReply(payload);
+                }
+                return interaction.followUp({ ...(typeof payload === 'string' ? { content: payload } : payload), ephemeral: true });
+            }
+        };
+    }
+
+    // List unverified members for a message or slash command context as one paginated embed
+    // options: { size, sort, page, format } as strings or numbers; words: filters like joined>7d,
+    // and csv to attach the full list (format= attaches it too, in that format)
+    async function listUnverified(ctx, options = {}, words = []) {
+        let query;
+        try {
+            query = parseListQuery(options, words);
+        } catch (error) {
+            await ctx.replyError(error.message);
             return;
         }
 
+        let listing;
         try {
-            const guild = message.guild;
+            const guild = ctx.guild;
+            const { verifiedRoleId } = getGuildConfig(guild.id);
             await guild.members.fetch();
             debugLog('Fetched all guild members for unverified count command');
 
-            // Get unverified members
-            const unverifiedMembers = guild.members.cache
+            // Numbered in join order, oldest first
+            const unverified = Array.from(guild.members.cache
                 .filter(member => !member.user.bot && !member.roles.cache.has(verifiedRoleId))
-                .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
+                .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp)
+                .values())
+                .map((member, index) => ({
+                    number: index + 1,
+                    id: member.id,
+                    username: member.user.username,
+                    displayName: member.displayName,
+                    joinedTimestamp: member.joinedTimestamp,
+                    createdTimestamp: member.user.createdTimestamp
+                }));
 
-            if (unverifiedMembers.size === 0) {
-                await message.channel.send('No unverified members found.');
+            if (unverified.length === 0) {
+                await ctx.send('No unverified members found.');
                 return;
             }
 
-            // Create the list with numbered entries
-            let currentMessage = `Total Unverified Members: ${unverifiedMembers.size}\n\n`;
-            let messageNumber = 1;
-            let counter = 1;
-
-            for (const member of unverifiedMembers.values()) {
-                // Create a proper user mention using the member's ID
-                const entry = `${counter}. <@${member.user.id}>\n`;
-                
-                // Discord message length limit is 2000 characters
-                if (currentMessage.length + entry.length > 1900) {
-                    // Send current message and start a new one
-                    await message.channel.send(currentMessage);
-                    currentMessage = '';
-                    messageNumber++;
-                }
-                
-                currentMessage += entry;
-                counter++;
+            const now = Date.now();
+            const sortKey = SORTS[query.sort].key;
+            const entries = unverified
+                .filter(entry => matchesFilters(entry, query.filters, now))
+                .sort((a, b) => sortKey(a) - sortKey(b));
+            listing = { entries, query, total: unverified.length, pageCount: Math.max(1, Math.ceil(entries.length / query.size)) };
+        } catch (error) {
+            debugLog('Error in count unverified command:', error);
+            await ctx.replyError('An error occurred while counting unverified members.');
+            return;
+        } finally {
+            ctx.guild.members.cache.clear();
+        }
+
+        const { pageCount } = listing;
+        let page = Math.min(query.page, pageCount);
+        const message = await ctx.send({
+            embeds: [buildPage(listing, page)],
+            components: [buildPagerRow(page, pageCount, query.format)]
+        });
+        if (query.attach) {
+            try {
+                await sendListFile(ctx, listing);
+            } catch (error) {
+                debugLog('Error sending unverified list file:', error);
+                await ctx.replyError('An error occurred while creating the unverified member file.');
             }
+        }
+        debugLog(`Unverified count command completed - ${listing.entries.length} of ${listing.total} members in ${pageCount} pages`);
+
+        const collector = message.createMessageComponentCollector({ componentType: ComponentType.Button, time: PAGER_TIMEOUT_MS });
+        collector.on('collect', async interaction => {
+            const denial = commands.checkAccess('count unverified', {
+                guild: interaction.guild,
+                member: interaction.member,
+                channelId: interaction.channelId
+            });
+            if (denial) {
+                await interaction.reply({ content: denial, ephemeral: true }).catch(() => {});
+                return;
+            }
+
+            try {
+                if (interaction.customId === 'file') {
+                    await interaction.deferReply({ ephemeral: true });
+                    try {
+                        await sendListFile(createEphemeralTarget(interaction), listing);
+                    } catch (error) {
+                        debugLog('Error sending unverified list file:', error);
+                        await interaction.editReply('An error occurred while creating the unverified member file.').catch(() => {});
+                    }
+                    return;
+                }
 
-            // Send any remaining content
-            if (currentMessage.length > 0) {
-                await message.channel.send(currentMessage);
+                page = { first: 1, prev: page - 1, next: page + 1, last: pageCount }[interaction.customId];
+                page = Math.min(Math.max(page, 1), pageCount);
+                await interaction.update({ embeds: [buildPage(listing, page)], components: [buildPagerRow(page, pageCount, query.format)] });
+            } catch (error) {
+                debugLog('Error in unverified list button:', error);
             }
+        });
+        collector.on('end', () => {
+            message.edit({ components: [buildPagerRow(page, pageCount, query.format, true)] }).catch(() => {});
+        });
+    }
+
+    // Post a summary of unverified members: how many, how recently they joined and who has waited longest
+    async function summarizeUnverified(ctx) {
+        try {
+            const guild = ctx.guild;
+            const { verifiedRoleId } = getGuildConfig(guild.id);
+            await guild.members.fetch();
+            debugLog('Fetched all guild members for unverified summary');
+
+            const humans = guild.members.cache.filter(member => !member.user.bot);
+            const unverifiedMembers = humans
+                .filter(member => !member.roles.cache.has(verifiedRoleId))
+                .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
+
+            const now = Date.now();
+            const joinedWithin = days => unverifiedMembers.filter(member => now - member.joinedTimestamp <= days * DAY_MS).size;
+            const percentage = humans.size > 0 ? ((unverifiedMembers.size / humans.size) * 100).toFixed(1) : '0.0';
 
-            guild.members.cache.clear();
-            debugLog(`Unverified count command completed - ${unverifiedMembers.size} members listed in ${messageNumber} messages`);
+            const embed = new EmbedBuilder()
+                .setTitle(`Unverified members: ${unverifiedMembers.size}`)
+                .setDescription(`${percentage}% of ${humans.size} members`)
+                .setColor(0xF2B518)
+                .addFields(
+                    { name: 'Joined in the last 24 hours', value: `${joinedWithin(1)}`, inline: true },
+                    { name: 'Joined in the last 7 days', value: `${joinedWithin(7)}`, inline: true },
+                    { name: 'Waiting longer than 7 days', value: `${unverifiedMembers.size - joinedWithin(7)}`, inline: true }
+                )
+                .setTimestamp();
+
+            const oldest = unverifiedMembers.first();
+            if (oldest) {
+                embed.addFields({
+                    name: 'Waiting longest',
+                    value: `<@${oldest.id}>, joined <t:${Math.floor(oldest.joinedTimestamp / 1000)}:R>`
+                });
+            }
 
+            await ctx.send({ embeds: [embed] });
+            debugLog(`Unverified summary completed - ${unverifiedMembers.size} unverified members`);
         } catch (error) {
-            debugLog('Error in count unverified command:', error);
-            await message.channel.send('An error occurred while counting unverified members.');
+            debugLog('Error in unverified summary:', error);
+            await ctx.replyError('An error occurred while summarizing unverified members.');
+        } finally {
+            ctx.guild.members.cache.clear();
         }
+    }
+
+    commands.register({
+        name: 'count unverified',
+        usage: '!count unverified [size=N] [sort=joined|account] [page=N] [format=csv|json|ndjson|xlsx] [joined>7d] [account<30d] [csv]',
+        description: 'Page through unverified members, optionally filtered by join date or account age, with a file of the list',
+        positional: Infinity,
+        run: (ctx, options, positional) => listUnverified(ctx, options, positional)
     });
+
+    return { listUnverified, summarizeUnverified };
 }
 
 module.exports = setupCountUnverifiedCommand;
\ No newline at end of file
@@ -1,11 +1,18 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, Partials, EmbedBuilder, AttachmentBuilder, Options } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, EmbedBuilder, Options } = require('discord.js');
 const setupCountUnverifiedCommand = require('./countUnverified');
 const { setupExtractCommands } = require('./unverified');
-const { setupPurgeCommands } = require('./purge');
-const { getUserMessageCount, ExportProgress } = require('./export');
-const fs = require('fs');
-const path = require('path');
+const { setupPurgeCommands, formatCriteriaDuration } = require('./purge');
+const { setupExportCommands } = require('./export');
+const { getMessageCountIndex, setupMessageCountIndex } = require('./messageIndex');
+const { CountHistory, getChannelRoleCount, setupHistoryCommand } = require('./history');
+const { setupScheduler } = require('./scheduler');
+const { ChannelRenameQueue, buildRenameStatusText } = require('./renameQueue');
+const { setupMemberCounts } = require('./memberCounts');
+const { renderChannelName, usesPlaceholder } = require('./channelTemplates');
+const { createCommandRouter } = require('./commandRouter');
+const { setupSlashCommands } = require('./slashCommands');
+const { getGuildConfig } = require('./config');
 
 // Debug mode and logging
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
@@ -48,7 +55,8 @@ const client = new Client({
         GatewayIntentBits.GuildMembers,
         GatewayIntentBits.MessageContent
     ],
-    partials: [Partials.Channel],
+    // GuildMember so role changes of uncached members still reach guildMemberUpdate
+    partials: [Partials.Channel, Partials.GuildMember],
     sweepers: {
         users: {
             interval: 3600,
@@ -63,23 +71,42 @@ const client = new Client({
 
 // Environment variables
 const token = process.env.DISCORD_TOKEN;
-const allowedRoles = process.env.ALLOWED_ROLES.split(',');
-const allowedChannels = process.env.ALLOWED_CHANNELS.split(',');
-const ignoredRoleIds = process.env.IGNORED_ROLE
-    ? process.env.IGNORED_ROLE.split(',').map(r => r.trim()).filter(Boolean)
-    : [];
-const verifiedRoleId = process.env.VERIFIED_ROLE;
-const intervalMinutes = parseInt(process.env.INTERVAL_MINUTES) || 5;
 
-// Channel configurations
-const totalMemberCountChannelId = process.env.TOTAL_MEMBER_COUNT_CHANNEL_ID;
-const totalMemberCountNameFormat = process.env.TOTAL_MEMBER_COUNT_NAME_FORMAT;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// Role configurations
-const scheduledRoles = Array.from({ length: 6 }, (_, i) => process.env[`SCHEDULED_ROLE_${i + 1}`]).filter(Boolean);
-const scheduledChannels = Array.from({ length: 6 }, (_, i) => process.env[`SCHEDULED_CHANNEL_${i + 1}`]).filter(Boolean);
-const scheduledChannelNames = Array.from({ length: 6 }, (_, i) => process.env[`SCHEDULED_CHANNEL_NAME_${i + 1}`]).filter(Boolean);
-const countRoles = Array.from({ length: 6 }, (_, i) => process.env[`COUNT_ROLE_${i + 1}`]).filter(Boolean);
+// Per-guild persistent member count history
+const countHistories = new Map();
+
+// Per-guild channel update intervals
+const updateIntervals = new Map();
+
+// Channel renames wait here for Discord's per-channel rename limit
+const renameQueue = new ChannelRenameQueue({ debugLog });
+
+// Per-guild {online} and {delta_24h} inputs for channel name templates, refreshed on the update interval
+const templateStats = new Map();
+
+function getCountHistory(guildId) {
+    if (!countHistories.has(guildId)) {
+        countHistories.set(guildId, new CountHistory(guildId));
+    }
+    return countHistories.get(guildId);
+}
+
+// Tiers shown in the !count embed and export; members count towards the highest of these
+function getCountRoleIds(config) {
+    return config.tiers.filter(tier => !tier.hidden).map(tier => tier.roleId);
+}
+
+// Tiers with a count channel, ranked on their own so a hidden tier doesn't take members from the embed
+function getChannelRoleIds(config) {
+    return config.tiers.filter(tier => tier.channelId).map(tier => tier.roleId);
+}
+
+// Tier display label; falls back to the role name without "ambassador"
+function getTierLabel(tier, role) {
+    return tier.label || role.name.replace(/\bambassador\b/gi, '').trim();
+}
 
 
 
@@ -106,223 +133,326 @@ function getHighestCountRole(member, countRoleIds, ignoredRoleIds, guild) {
 }
 
 /**
- * Count members whose highest role (among countRoleIds) is roleId
- * Excludes members with any ignored role
+ * How a member counts: null for bots, otherwise whether they are verified, the
+ * embed tier and the channel tier they count towards (only verified members count towards a tier)
+ */
+function classifyMember(member) {
+    if (member.user.bot) return null;
+    const config = getGuildConfig(member.guild.id);
+    const verified = member.roles.cache.has(config.verifiedRoleId);
+    if (!verified) return { verified, tierRoleId: null, channelRoleId: null };
+
+    const highest = getHighestCountRole(member, getCountRoleIds(config), config.ignoredRoleIds, member.guild);
+    const highestChannel = getHighestCountRole(member, getChannelRoleIds(config), config.ignoredRoleIds, member.guild);
+    return { verified, tierRoleId: highest ? highest.id : null, channelRoleId: highestChannel ? highestChannel.id : null };
+}
+
+/**
+ * Single pass: build maps of roleId -> count of verified members whose highest
+ * embed tier (tiers) or channel tier (channelTiers) is roleId
  */
-function countMembersWithCountRole(members, roleId, countRoleIds, verifiedRoleId, ignoredRoleIds, countedMembers = new Set()) {
-    let count = 0;
-
-    members.forEach(member => {
-        // Skip bots and already counted members
-        if (member.user.bot || countedMembers.has(member.id)) return;
-        // Skip unverified members
-        if (!member.roles.cache.has(verifiedRoleId)) return;
-        // Skip members with any ignored role
-        if (memberHasIgnoredRole(member, ignoredRoleIds)) return;
-
-        const highestCountRole = getHighestCountRole(member, countRoleIds, ignoredRoleIds, member.guild);
-
-        if (highestCountRole && highestCountRole.id === roleId) {
-            count++;
-            countedMembers.add(member.id);
-            debugLog(`Counted member ${member.user.tag} for role ${roleId}`, true);
+function buildRoleCounts(members) {
+    const tiers = new Map();
+    const channelTiers = new Map();
+    for (const [, member] of members) {
+        const classification = classifyMember(member);
+        if (classification?.tierRoleId) {
+            tiers.set(classification.tierRoleId, (tiers.get(classification.tierRoleId) || 0) + 1);
+        }
+        if (classification?.channelRoleId) {
+            channelTiers.set(classification.channelRoleId, (channelTiers.get(classification.channelRoleId) || 0) + 1);
         }
+    }
+    return { tiers, channelTiers };
+}
+
+/**
+ * Persist a snapshot of the current counts ({ total, unverified, tiers, channelTiers }) to the history store
+ */
+async function recordCountSnapshot(guild, config, counts) {
+    await getCountHistory(guild.id).record({
+        total: counts.total,
+        unverified: counts.unverified,
+        tiers: Object.fromEntries(getCountRoleIds(config).map(roleId => [roleId, counts.tiers.get(roleId) || 0])),
+        channelTiers: Object.fromEntries(getChannelRoleIds(config).map(roleId => [roleId, counts.channelTiers.get(roleId) || 0]))
     });
+}
+
+// Running counts from member events; channel names follow them without refetching members
+const memberCounts = setupMemberCounts(client, {
+    classifyMember,
+    onCountsChanged: guild => updateChannelNames(guild),
+    debugLog
+});
 
-    return { count };
+function getNameTemplates(config) {
+    return [
+        config.totalMemberCountNameFormat,
+        ...config.tiers.map(tier => tier.nameFormat),
+        ...(config.statChannels || []).map(statChannel => statChannel.nameFormat)
+    ].filter(Boolean);
 }
 
-async function updateChannelNames() {
-    debugLog('Starting channel name updates');
-    const guild = client.guilds.cache.first();
-    if (!guild) {
-        debugLog('No guild found');
-        return;
+/**
+ * Refresh the template values that don't come from the running counts, only if a template uses them
+ */
+async function refreshTemplateStats(guild) {
+    const templates = getNameTemplates(getGuildConfig(guild.id));
+    const stats = {};
+
+    if (templates.some(template => usesPlaceholder(template, 'online'))) {
+        try {
+            // Approximate presence count, so no presence intent is needed
+            const fetched = await client.guilds.fetch({ guild: guild.id, withCounts: true, force: true });
+            stats.online = fetched.approximatePresenceCount ?? null;
+        } catch (error) {
+            debugLog(`Failed to fetch online count for guild ${guild.name}:`, error);
+        }
     }
 
-    try {
-        await guild.members.fetch();
-        debugLog('Fetched all guild members');
+    if (templates.some(template => usesPlaceholder(template, 'delta_24h'))) {
+        stats.dayAgo = await getCountHistory(guild.id).findBefore(Date.now() - DAY_MS);
+    }
 
+    templateStats.set(guild.id, stats);
+}
+
+/**
+ * Queue channel renames for the current running counts
+ */
+function updateChannelNames(guild) {
+    const tracker = memberCounts.getTracker(guild.id);
+    if (!tracker.ready) return null;
+
+    debugLog(`Starting channel name updates for guild ${guild.name}`);
+    const config = getGuildConfig(guild.id);
+    const counts = tracker.getCounts();
+    const stats = templateStats.get(guild.id) || {};
+
+    // count is what the channel counts; countDayAgo is null until there is a day of history
+    const renderName = (template, count, countDayAgo, decimals = 1) => renderChannelName(template, {
+        count,
+        percent: counts.total > 0 ? (count / counts.total) * 100 : 0,
+        delta_24h: countDayAgo === null || countDayAgo === undefined ? null : count - countDayAgo,
+        total: counts.total,
+        verified: counts.total - counts.unverified,
+        unverified: counts.unverified,
+        online: stats.online ?? null
+    }, { locale: config.numberLocale, decimals });
+
+    try {
         // Update total member count
-        const totalMembers = guild.members.cache.filter(member => !member.user.bot).size;
-        const totalMemberChannel = guild.channels.cache.get(totalMemberCountChannelId);
-        if (totalMemberChannel) {
-            const newName = totalMemberCountNameFormat.replace('{count}', totalMembers);
-            await totalMemberChannel.setName(newName);
-            debugLog(`Updated total member count channel: ${newName}`);
+        const totalMemberChannel = guild.channels.cache.get(config.totalMemberCountChannelId);
+        if (totalMemberChannel && config.totalMemberCountNameFormat) {
+            const newName = renderName(config.totalMemberCountNameFormat, counts.total, stats.dayAgo?.total);
+            const result = renameQueue.request(totalMemberChannel, newName);
+            debugLog(`Total member count channel: ${newName} (${result})`);
         }
 
-        // Single pass: build a map of roleId -> count
-        const roleCounts = new Map();
-        for (const [, member] of guild.members.cache) {
-            if (member.user.bot) continue;
-            if (!member.roles.cache.has(verifiedRoleId)) continue;
-            const highest = getHighestCountRole(member, scheduledRoles, ignoredRoleIds, guild);
-            if (highest) {
-                roleCounts.set(highest.id, (roleCounts.get(highest.id) || 0) + 1);
-            }
-        }
+        // Update tier channels
+        for (const tier of config.tiers) {
+            if (!tier.channelId || !tier.nameFormat) continue;
 
-        // Update role-specific channels
-        for (let i = 0; i < scheduledRoles.length; i++) {
-            const roleId = scheduledRoles[i];
-            const channelId = scheduledChannels[i];
-            const channelNameFormat = scheduledChannelNames[i];
+            const role = guild.roles.cache.get(tier.roleId);
+            const channel = guild.channels.cache.get(tier.channelId);
 
-            if (!roleId || !channelId || !channelNameFormat) continue;
+            if (!role || !channel) {
+                debugLog(`Missing role or channel for tier ${tier.roleId}`);
+                continue;
+            }
 
-            const role = guild.roles.cache.get(roleId);
-            const channel = guild.channels.cache.get(channelId);
+            const count = counts.channelTiers.get(tier.roleId) || 0;
+            const newName = renderName(tier.nameFormat, count, stats.dayAgo ? getChannelRoleCount(stats.dayAgo, tier.roleId) : null, tier.decimals);
+            const result = renameQueue.request(channel, newName);
+            debugLog(`${role.name} channel: ${newName} (${result})`);
+        }
 
-            if (!role || !channel) {
-                debugLog(`Missing role or channel for index ${i}`);
+        // Update stat channels, which count all members
+        for (const statChannel of config.statChannels || []) {
+            const channel = guild.channels.cache.get(statChannel.channelId);
+            if (!channel) {
+                debugLog(`Missing stat channel ${statChannel.channelId}`);
                 continue;
             }
 
-            const count = roleCounts.get(roleId) || 0;
-            const newName = channelNameFormat.replace('{count}', count);
-            await channel.setName(newName);
-            debugLog(`Updated ${role.name} channel: ${newName}`);
+            const newName = renderName(statChannel.nameFormat, counts.total, stats.dayAgo?.total);
+            const result = renameQueue.request(channel, newName);
+            debugLog(`Stat channel ${statChannel.channelId}: ${newName} (${result})`);
         }
     } catch (error) {
         debugLog('Error in updateChannelNames:', error);
-    } finally {
-        guild.members.cache.clear();
-        debugLog('Cleared member cache after channel name update');
     }
+    return counts;
 }
 
-function scheduleUpdates() {
-    const intervalMs = intervalMinutes * 60 * 1000;
-    debugLog(`Setting up interval updates every ${intervalMinutes} minutes`);
-    
-    updateChannelNames();
-    setInterval(updateChannelNames, intervalMs);
+/**
+ * Interval update: refresh channel names and record a history snapshot
+ */
+async function runScheduledUpdate(guild) {
+    await refreshTemplateStats(guild);
+    const counts = updateChannelNames(guild);
+    if (counts) await recordCountSnapshot(guild, getGuildConfig(guild.id), counts);
 }
 
+/**
+ * Full member fetch that corrects any drift in the running counts
+ */
+async function reconcileCounts(guild) {
+    try {
+        await memberCounts.reconcile(guild);
+        updateChannelNames(guild);
+    } catch (error) {
+        debugLog(`Error reconciling member counts for guild ${guild.name}:`, error);
+    }
+}
 
+function scheduleUpdates(guild) {
+    const { intervalMinutes, reconcileMinutes } = getGuildConfig(guild.id);
+    debugLog(`Setting up interval updates every ${intervalMinutes} minutes and a full reconcile every ${reconcileMinutes} minutes for guild ${guild.name}`);
+
+    // Guild may have been removed since the interval was set
+    const forCurrentGuild = update => () => {
+        const current = client.guilds.cache.get(guild.id);
+        if (current) update(current);
+    };
+
+    unscheduleUpdates(guild.id);
+    // The first names wait for the template stats, so they aren't rendered with unknown values
+    memberCounts.reconcile(guild)
+        .then(() => runScheduledUpdate(guild))
+        .catch(error => debugLog(`Error in initial count update for guild ${guild.name}:`, error));
+    updateIntervals.set(guild.id, [
+        setInterval(forCurrentGuild(runScheduledUpdate), intervalMinutes * 60 * 1000),
+        setInterval(forCurrentGuild(reconcileCounts), reconcileMinutes * 60 * 1000)
+    ]);
+}
 
-client.once('ready', () => {
-    debugLog('Bot is ready!');
-    debugLog(`Start time: ${getTimestamp()}`);
-    scheduleUpdates();
-});
+function unscheduleUpdates(guildId) {
+    for (const interval of updateIntervals.get(guildId) || []) clearInterval(interval);
+    updateIntervals.delete(guildId);
+}
 
-setupExtractCommands(client, { allowedChannels, allowedRoles, verifiedRoleId, debugLog });
-setupPurgeCommands(client, { allowedChannels, allowedRoles, verifiedRoleId, debugLog });
-setupCountUnverifiedCommand(client, { allowedChannels, allowedRoles, verifiedRoleId, debugLog });
+function forgetGuild(guildId) {
+    unscheduleUpdates(guildId);
+    renameQueue.clearGuild(guildId);
+    memberCounts.forgetGuild(guildId);
+    templateStats.delete(guildId);
+}
 
-client.on('messageCreate', async message => {
-    // First check if it starts with !count
-    if (!message.content.startsWith('!count')) return;
-    
-    // Get the full command
-    const fullCommand = message.content.trim();
-    
-    // List of valid commands
-    const validCommands = ['!count', '!count export', '!count unverified'];
-    
-    // If it's not a valid command, ignore it
-    if (!validCommands.includes(fullCommand)) {
-        debugLog('Invalid count command received:', fullCommand);
-        return;
-    }
-    
-    debugLog('Count command received', {
-        channel: message.channel.id,
-        user: message.author.tag,
-        command: fullCommand
-    });
+/**
+ * Reply with the state of the channel rename queue
+ */
+async function runChannelsStatusCommand(ctx) {
+    const { intervalMinutes } = getGuildConfig(ctx.guild.id);
+    await ctx.send(buildRenameStatusText(renameQueue, ctx.guild.id, intervalMinutes));
+}
+
+// "<t:...:f> (<t:...:R>)" for a timestamp in ms
+function formatTimestamp(time) {
+    const seconds = Math.floor(time / 1000);
+    return `<t:${seconds}:f> (<t:${seconds}:R>)`;
+}
+
+// One line per running purge describing where the member stands in it
+function describePurgeStatus({ type, paused, eligible, warnMs, warningDeadline, batchTime }) {
+    const suffix = paused ? ' (purge paused)' : '';
+    if (warningDeadline) return `${type}: warned, to be kicked in the batch at ${formatTimestamp(batchTime)}${suffix}`;
+    if (!eligible) return `${type}: not eligible`;
+    if (warnMs) return `${type}: eligible, will be warned ${formatCriteriaDuration(warnMs)} before being kicked${suffix}`;
+    if (!batchTime) return `${type}: eligible, batch known once the purge has run a batch${suffix}`;
+    return `${type}: eligible, expected in the batch at ${formatTimestamp(batchTime)}${suffix}`;
+}
 
-    // Check channel permission
-    if (!allowedChannels.includes(message.channel.id)) {
-        debugLog('Command used in unauthorized channel');
+/**
+ * Reply with everything the bot knows about one member: count tier, verification,
+ * dates, time without roles, running purges and indexed messages
+ */
+async function runMemberCommand(ctx, value) {
+    const userId = String(value || '').replace(/^<@!?(\d+)>$/, '$1');
+    if (!/^\d{17,20}$/.test(userId)) {
+        await ctx.replyError('Usage: `!count member <@user|id>`');
         return;
     }
 
-    // Check role permission
-    const memberRoles = message.member.roles.cache.map(role => role.name);
-    if (!allowedRoles.some(role => memberRoles.includes(role))) {
-        debugLog('Command used by unauthorized user');
+    const guild = ctx.guild;
+    let member;
+    try {
+        member = await guild.members.fetch(userId);
+    } catch (error) {
+        await ctx.replyError(`No member with ID ${userId} found on this server.`);
         return;
     }
 
-    // Handle export command
-    if (fullCommand === '!count export') {
-        try {
-            await message.channel.send('Generating CSV export... This might take a few moments.');
-            
-            const guild = message.guild;
-            await guild.members.fetch();
-            
-            // Create a progress tracker for message counting
-            const progress = new ExportProgress(guild.id);
-            
-            // Prepare CSV header
-            const csvHeader = 'UserID,Username,Highest Role,Server Join Date,Discord Join Date,Messages Number\n';
-
-            // Create temporary file using a write stream
-            const tempFilePath = path.join(__dirname, 'user_export.csv');
-            const writeStream = fs.createWriteStream(tempFilePath, { encoding: 'utf8' });
-            writeStream.write(csvHeader);
-
-            // Process each member
-            for (const [id, member] of guild.members.cache) {
-                if (member.user.bot) continue;  // Skip bots
-
-                const userId = member.user.id;
-                const username = member.user.tag.replace(/,/g, '');  // Remove commas to avoid CSV issues
-                // Use the highest count role for CSV (can be blank if has none)
-                const highestRoleObj = getHighestCountRole(member, countRoles, ignoredRoleIds, guild);
-                const highestRole = highestRoleObj ? highestRoleObj.name.replace(/,/g, '') : '';
-                const serverJoinDate = member.joinedAt ? member.joinedAt.toISOString().slice(0, 19).replace('T', ' ') : '';
-                const discordJoinDate = member.user.createdAt ? member.user.createdAt.toISOString().slice(0, 19).replace('T', ' ') : '';
-                
-                // Fetch message count using historical message fetching
-                const messagesNumber = await getUserMessageCount(guild, userId, progress);
-
-                // Write row to stream
-                writeStream.write(`${userId},"${username}","${highestRole}","${serverJoinDate}","${discordJoinDate}",${messagesNumber}\n`);
-            }
-
-            // Close stream and wait for finish
-            await new Promise((resolve, reject) => {
-                writeStream.on('finish', resolve);
-                writeStream.on('error', reject);
-                writeStream.end();
-            });
-            
-            // Create attachment and send file
-            const attachment = new AttachmentBuilder(tempFilePath, {
-                name: `user_export_${getTimestamp().replace(/[: ]/g, '-')}.csv`
-            });
-            
-            await message.channel.send({
-                content: 'Here is your requested user export:',
-                files: [attachment]
-            });
-            
-            // Clean up temporary file
-            fs.unlinkSync(tempFilePath);
-            
-            debugLog('Export command completed successfully');
-        } catch (error) {
-            debugLog('Error in export command:', error);
-            await message.channel.send('An error occurred while generating the export.');
-        } finally {
-            message.guild.members.cache.clear();
-            debugLog('Cleared member cache after export command');
+    try {
+        const config = getGuildConfig(guild.id);
+        const verified = member.roles.cache.has(config.verifiedRoleId);
+        const ignoredRoles = member.roles.cache.filter(role => config.ignoredRoleIds.includes(role.id));
+        const highestCountRole = getHighestCountRole(member, getCountRoleIds(config), config.ignoredRoleIds, guild);
+
+        let countRoleText = highestCountRole ? `<@&${highestCountRole.id}>` : 'None';
+        if (highestCountRole && !verified) countRoleText += ' (not counted until verified)';
+        if (ignoredRoles.size > 0) countRoleText = 'None (has an ignored role)';
+
+        // Time without roles is counted from the join date, as in !extract noroles
+        const withoutRoles = member.roles.cache.size === 1 ?
+            `Since joining, ${Math.floor((Date.now() - member.joinedTimestamp) / DAY_MS)} day(s)` :
+            `No, has ${member.roles.cache.size - 1} role(s)`;
+
+        const purgeStatuses = await purgeCommands.getMemberPurgeStatus(guild, member);
+
+        const index = getMessageCountIndex(guild.id);
+        const stats = index.getStats(member.id);
+        let messagesText = 'Not indexed yet (run `!count export` to build the message index)';
+        if (index.channels.size > 0) {
+            messagesText = stats.messageCount > 0 ?
+                `${stats.messageCount.toLocaleString(config.numberLocale)} on ${stats.activeDays} day(s), last on ${stats.lastMessageDate}` :
+                'None indexed';
         }
-        return;
+
+        const embed = new EmbedBuilder()
+            .setTitle(member.displayName)
+            .setDescription(`<@${member.id}> (${member.user.tag}, ID ${member.id})${member.user.bot ? ' - bot' : ''}`)
+            .setThumbnail(member.user.displayAvatarURL())
+            .setColor(verified ? 0x2ECC71 : 0xF2B518)
+            .addFields(
+                { name: 'Highest Count Role', value: countRoleText, inline: true },
+                { name: 'Verified', value: verified ? 'Yes' : 'No', inline: true },
+                {
+                    name: 'Ignored',
+                    value: ignoredRoles.size > 0 ? `Yes (${ignoredRoles.map(role => `<@&${role.id}>`).join(', ')})` : 'No',
+                    inline: true
+                },
+                { name: 'Joined', value: formatTimestamp(member.joinedTimestamp), inline: true },
+                { name: 'Account Created', value: formatTimestamp(member.user.createdTimestamp), inline: true },
+                { name: 'Without Roles', value: withoutRoles, inline: true },
+                {
+                    name: 'Purge',
+                    value: purgeStatuses.length > 0 ? purgeStatuses.map(describePurgeStatus).join('\n') : 'No purge running',
+                    inline: false
+                },
+                { name: 'Messages', value: messagesText, inline: false }
+            )
+            .setTimestamp();
+
+        await ctx.send({ embeds: [embed] });
+        debugLog(`Member lookup completed for ${member.user.tag}`);
+    } catch (error) {
+        debugLog('Error in count member command:', error);
+        await ctx.replyError('An error occurred while looking up the member.');
     }
+}
 
-    // Early return before the try block — handled by countUnverifiedCommand module
-    if (fullCommand === '!count unverified') return;
 
-    // If not export command, must be !count
+
+/**
+ * Reply with the member count embed for a message or slash command context
+ */
+async function runCountCommand(ctx) {
     try {
-        const guild = message.guild;
+        const guild = ctx.guild;
+        const config = getGuildConfig(guild.id);
+        const { verifiedRoleId, ignoredRoleIds } = config;
+        const countRoleIds = getCountRoleIds(config);
         await guild.members.fetch();
         debugLog('Fetched all guild members');
 
@@ -343,61 +473,24 @@ client.on('messageCreate', async message => {
                 iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
             });
 
-        // Single pass: build a map of roleId -> count
-        const roleCounts = new Map();
-        for (const [, member] of guild.members.cache) {
-            if (member.user.bot) continue;
-            if (!member.roles.cache.has(verifiedRoleId)) continue;
-            const highest = getHighestCountRole(member, countRoles, ignoredRoleIds, guild);
-            if (highest) {
-                roleCounts.set(highest.id, (roleCounts.get(highest.id) || 0) + 1);
-            }
-        }
+        const { tiers: roleCounts, channelTiers } = buildRoleCounts(guild.members.cache);
+        await recordCountSnapshot(guild, config, { total: totalMembers, unverified: unverifiedMembers, tiers: roleCounts, channelTiers });
 
         let totalRoleCount = 0;
 
-        for (let i = 0; i < countRoles.length; i++) {
-            const roleId = countRoles[i];
-            const role = guild.roles.cache.get(roleId);
+        for (const tier of config.tiers) {
+            if (tier.hidden) continue;
+            const role = guild.roles.cache.get(tier.roleId);
             if (!role) continue;
 
-            const count = roleCounts.get(roleId) || 0;
+            const count = roleCounts.get(tier.roleId) || 0;
             totalRoleCount += count;
 
-            let percentage;
-            if (i === 0 || i === 1) {
-                percentage = ((count / totalMembers) * 100).toFixed(1);
-            } else if (i === 2 || i === 3) {
-                percentage = ((count / totalMembers) * 100).toFixed(2);
-            } else {
-                percentage = ((count / totalMembers) * 100).toFixed(3);
-            }
-
-            // Remove "ambassador" from role name
-            const displayName = role.name.replace(/\bambassador\b/gi, '').trim();
-
-            // Add emoji based on index
-            let emojiPrefix = '';
-            switch(i) {
-                case 1:
-                    emojiPrefix = '🌱  ';  // 2nd role
-                    break;
-                case 2:
-                    emojiPrefix = '🌼  ';  // 3rd role
-                    break;
-                case 3:
-                    emojiPrefix = '🌲  ';  // 4th role
-                    break;
-                case 4:
-                    emojiPrefix = '🌳  ';  // 5th role
-                    break;
-                case 5:
-                    emojiPrefix = '🥼  ';  // 6th role
-                    break;
-            }
+            const percentage = ((count / totalMembers) * 100).toFixed(tier.decimals ?? 1);
+            const emojiPrefix = tier.emoji ? `${tier.emoji}  ` : '';
 
             embed.addFields({ 
-                name: `${emojiPrefix}${displayName}`, 
+                name: `${emojiPrefix}${getTierLabel(tier, role)}`, 
                 value: `${count} (${percentage}%)`, 
                 inline: true 
             });
@@ -425,7 +518,7 @@ client.on('messageCreate', async message => {
                     !m.user.bot &&
                     m.roles.cache.has(verifiedRoleId) && 
                     !memberHasIgnoredRole(m, ignoredRoleIds) &&
-                    !getHighestCountRole(m, countRoles, ignoredRoleIds, guild)
+                    !getHighestCountRole(m, countRoleIds, ignoredRoleIds, guild)
                 );
 
             if (unaccountedMembers.size > 0) {
@@ -440,17 +533,119 @@ client.on('messageCreate', async message => {
             }
         }
 
-        await message.channel.send({ embeds: [embed] });
+        await ctx.send({ embeds: [embed] });
         debugLog('Count command completed successfully');
 
     } catch (error) {
         debugLog('Error in count command:', error);
         debugLog(`Error stack: ${error.stack}`);
-        await message.channel.send('An error occurred while counting members.');
+        await ctx.replyError('An error occurred while counting members.');
     } finally {
-        message.guild.members.cache.clear();
+        ctx.guild.members.cache.clear();
         debugLog('Cleared member cache after count command');
     }
+}
+
+client.once('ready', () => {
+    debugLog('Bot is ready!');
+    debugLog(`Start time: ${getTimestamp()}`);
+    for (const guild of client.guilds.cache.values()) {
+        scheduleUpdates(guild);
+    }
+});
+
+client.on('guildCreate', guild => {
+    debugLog(`Joined guild ${guild.name}`);
+    scheduleUpdates(guild);
+});
+
+client.on('guildDelete', guild => {
+    debugLog(`Removed from guild ${guild.name}`);
+    forgetGuild(guild.id);
+});
+
+setupMessageCountIndex(client);
+
+// Export rows use the highest count tier, blank for members without one
+// Every prefix command is registered here or by its module, behind the same permission checks
+const commands = createCommandRouter(client, { getGuildConfig, debugLog });
+
+const exportCommands = setupExportCommands(client, {
+    debugLog,
+    commands,
+    getHighestRoleName: member => {
+        const config = getGuildConfig(member.guild.id);
+        const role = getHighestCountRole(member, getCountRoleIds(config), config.ignoredRoleIds, member.guild);
+        return role ? role.name : '';
+    }
+});
+
+const extractCommands = setupExtractCommands(client, { getGuildConfig, debugLog, commands });
+const purgeCommands = setupPurgeCommands(client, { getGuildConfig, debugLog, commands });
+const countUnverifiedCommand = setupCountUnverifiedCommand(client, { getGuildConfig, debugLog, commands });
+const historyCommand = setupHistoryCommand(client, { getGuildConfig, getCountHistory, debugLog, commands });
+
+// Scheduled reports post the same output as the commands they stand in for
+const scheduler = setupScheduler(client, {
+    getGuildConfig,
+    debugLog,
+    commands,
+    handlers: {
+        count: runCountCommand,
+        unverified: countUnverifiedCommand.summarizeUnverified,
+        extractUnverified: extractCommands.extractUnverified,
+        export: exportCommands.startExport
+    }
+});
+
+// Slash commands share the same handlers as the prefix commands
+setupSlashCommands(client, {
+    debugLog,
+    commands,
+    handlers: {
+        count: runCountCommand,
+        channelsStatus: runChannelsStatusCommand,
+        member: runMemberCommand,
+        export: exportCommands.startExport,
+        exportChannels: exportCommands.exportChannels,
+        exportStatus: exportCommands.exportStatus,
+        exportCancel: exportCommands.cancelExport,
+        unverified: countUnverifiedCommand.listUnverified,
+        history: historyCommand.showHistory,
+        extractUnverified: extractCommands.extractUnverified,
+        extractNoroles: extractCommands.extractNoroles,
+        purgeStart: purgeCommands.startPurge,
+        purgeDryRun: purgeCommands.dryRunPurge,
+        purgeStatus: purgeCommands.purgeStatus,
+        purgeStop: purgeCommands.stopPurge,
+        purgePause: purgeCommands.pausePurge,
+        purgeResume: purgeCommands.resumePurge,
+        purgeRate: purgeCommands.changePurgeRate,
+        purgeLog: purgeCommands.purgeLog,
+        scheduleList: scheduler.listSchedules,
+        scheduleAdd: scheduler.addSchedule,
+        scheduleRemove: scheduler.removeSchedule
+    }
+});
+
+commands.register({
+    name: 'count',
+    description: 'Display current member counts by role tier with percentages',
+    run: ctx => runCountCommand(ctx)
+});
+
+commands.register({
+    name: 'count member',
+    usage: '!count member <@user|id>',
+    description: 'Show one member\'s count role, verification, dates, purge status and message count',
+    positional: 1,
+    run: (ctx, options, positional) => runMemberCommand(ctx, positional[0])
+});
+
+commands.register({
+    name: 'count channels status',
+    description: 'Show pending channel name updates and how many renames each channel has left',
+    run: ctx => runChannelsStatusCommand(ctx)
 });
 
 client.login(token);
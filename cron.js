@@ -0,0 +1,122 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Expressions that can't match (e.g. 30 February) are given up on after this long
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index !== -1 ? index + (field.min === 1 ? 1 : 0) : Number(value);
+    if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid ${field.name} \`${value}\` in cron expression.`);
+    }
+    return number;
+}
+
+// Parse one field ("*", "1-5", "*/15", "mon,wed,fri", ...) into the set of values it matches
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step \`${part}\` in cron expression.`);
+        }
+
+        let start, end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(value => parseValue(value, field));
+        } else {
+            start = parseValue(range, field);
+            // "5/15" means every 15 starting at 5
+            end = stepText === undefined ? start : field.max;
+        }
+        if (start > end) {
+            throw new Error(`Invalid range \`${range}\` in cron expression.`);
+        }
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+// Parse a cron expression; throws an Error with a user-facing message when invalid
+function parseCron(expression) {
+    const source = String(expression || '').trim().replace(/\s+/g, ' ');
+    const parts = (ALIASES[source.toLowerCase()] || source).split(' ');
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression \`${source}\`. Use five fields: minute hour day-of-month month day-of-week, e.g. \`0 9 * * mon\`.`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // 7 is Sunday too
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    const schedule = {
+        expression: source,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron, a restricted day of month and day of week match when either does
+        anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+
+    if (!getNextRun(schedule, new Date())) {
+        throw new Error(`Cron expression \`${source}\` never matches a date.`);
+    }
+    return schedule;
+}
+
+function matchesDay(schedule, date) {
+    const dayMatches = schedule.days.has(date.getUTCDate());
+    const weekdayMatches = schedule.weekdays.has(date.getUTCDay());
+    return schedule.anyDay ? dayMatches || weekdayMatches : dayMatches && weekdayMatches;
+}
+
+// The first matching minute strictly after `after`, or null if there is none
+function getNextRun(schedule, after) {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+    while (date.getTime() <= limit) {
+        if (!schedule.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!schedule.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    getNextRun,
+    parseCron
+};
@@ -1,24 +1,67 @@
-const { debugLog, formatDate, cleanCSVString } = require('./utils');
+const { ChannelType } = require('discord.js');
+const { debugLog } = require('./utils');
+const { CHANNEL_CATEGORIES, getMessageCountIndex, isCountedChannel, isThreadParent } = require('./messageIndex');
+const { StagedExport, parseExportFormat, writeExport } = require('./exportWriter');
+const { sendExportFile } = require('./exportDelivery');
 const fs = require('fs').promises;
 const path = require('path');
 
 // Constants for processing
 const BATCH_SIZE = 1000;
-const MESSAGE_BATCH_SIZE = 100;
-const RATE_LIMIT_DELAY = 250;
 const MESSAGE_UPDATE_INTERVAL = 5000; // 5 seconds between progress updates
 const SAVE_INTERVAL = 10; // Save progress every 10 users
 
+// Column for each message category's breakdown
+const CATEGORY_COLUMNS = {
+    text: { key: 'textMessages', header: 'Text Channel Messages', type: 'number' },
+    announcement: { key: 'announcementMessages', header: 'Announcement Messages', type: 'number' },
+    voice: { key: 'voiceMessages', header: 'Voice Chat Messages', type: 'number' },
+    thread: { key: 'threadMessages', header: 'Thread Messages', type: 'number' },
+    forum: { key: 'forumMessages', header: 'Forum Post Messages', type: 'number' }
+};
+
+const USER_EXPORT_COLUMNS = [
+    { key: 'userId', header: 'User ID' },
+    { key: 'username', header: 'Username' },
+    { key: 'highestRole', header: 'Highest Role' },
+    { key: 'joinedAt', header: 'Server Join Date (UTC)', type: 'datetime' },
+    { key: 'accountCreatedAt', header: 'Discord Join Date (UTC)', type: 'datetime' },
+    { key: 'messageCount', header: 'Message Count', type: 'number' },
+    { key: 'firstMessageDate', header: 'First Message Date', type: 'date' },
+    { key: 'lastMessageDate', header: 'Last Message Date', type: 'date' },
+    { key: 'activeDays', header: 'Active Days', type: 'number' },
+    ...CHANNEL_CATEGORIES.map(category => CATEGORY_COLUMNS[category])
+];
+
+// Exports currently running, by guild ID
+const activeExports = new Map();
+
 class ExportProgress {
     constructor(guildId) {
         this.guildId = guildId;
         this.processedUsers = new Set();
         this.currentBatch = 0;
         this.totalBatches = 0;
+        this.totalUsers = 0;
         this.startTime = Date.now();
         this.lastUpdateTime = Date.now();
         this.saveFile = path.join(process.cwd(), `export_progress_${guildId}.json`);
         this.totalMessagesFetched = 0;
+        // Date window and channel subset for the message columns; null means no limit
+        this.filters = { since: null, until: null, channelIds: null };
+        this.format = null;
+        // Where the live progress message and staged rows live, so a restart can pick them up
+        this.channelId = null;
+        this.messageId = null;
+        this.tempFilePath = null;
+        // Set once the file is rendered; kept until it has been delivered
+        this.finalFilePath = null;
+        this.currentUser = null;
+        this.phase = 'indexing';
+        this.cancelled = false;
+        // ETA is based on this run only, so downtime before a resume doesn't skew it
+        this.sessionStartTime = Date.now();
+        this.sessionStartCount = 0;
     }
 
     async save() {
@@ -27,7 +70,13 @@ class ExportProgress {
             currentBatch: this.currentBatch,
             startTime: this.startTime,
             lastUpdateTime: Date.now(),
-            totalMessagesFetched: this.totalMessagesFetched
+            totalMessagesFetched: this.totalMessagesFetched,
+            filters: this.filters,
+            format: this.format,
+            channelId: this.channelId,
+            messageId: this.messageId,
+            tempFilePath: this.tempFilePath,
+            finalFilePath: this.finalFilePath
         };
         try {
             await fs.writeFile(this.saveFile, JSON.stringify(data, null, 2));
@@ -45,6 +94,12 @@ class ExportProgress {
             this.startTime = data.startTime;
             this.lastUpdateTime = data.lastUpdateTime || Date.now();
             this.totalMessagesFetched = data.totalMessagesFetched || 0;
+            this.filters = data.filters || { since: null, until: null, channelIds: null };
+            this.format = data.format || null;
+            this.channelId = data.channelId || null;
+            this.messageId = data.messageId || null;
+            this.tempFilePath = data.tempFilePath || null;
+            this.finalFilePath = data.finalFilePath || null;
             debugLog(`Progress loaded: ${this.processedUsers.size} users previously processed`);
             return true;
         } catch (e) {
@@ -68,59 +123,54 @@ class ExportProgress {
     }
 }
 
-async function getUserMessageCount(guild, userId, progress) {
-    let totalMessages = 0;
-    const textChannels = guild.channels.cache.filter(
-        channel => channel.type === 0 && channel.viewable
-    );
-
-    debugLog(`Counting messages for user ${userId} in ${textChannels.size} channels`);
-
-    for (const [channelId, channel] of textChannels) {
-        try {
-            let lastMessageId = null;
-            let channelMessages = 0;
-            let keepFetching = true;
-
-            debugLog(`Fetching messages in channel ${channel.name} for user ${userId}`);
-
-            while (keepFetching) {
-                await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
-
-                const messages = await channel.messages.fetch({
-                    limit: MESSAGE_BATCH_SIZE,
-                    ...(lastMessageId && { before: lastMessageId })
-                });
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-                if (messages.size === 0) break;
+// Validate export arguments ({ since, until, channels } as strings) into index filters.
+// Throws an Error with a user-facing message if anything is invalid.
+function resolveExportFilters(guild, { since, until, channels } = {}) {
+    const filters = { since: null, until: null, channelIds: null };
 
-                const userMessages = messages.filter(msg => msg.author.id === userId);
-                channelMessages += userMessages.size;
-                totalMessages += userMessages.size;
-                lastMessageId = messages.last().id;
-
-                // Clear after each batch to keep memory bounded
-                channel.messages.cache.clear();
-
-                if (messages.size < MESSAGE_BATCH_SIZE) break;
+    for (const [key, value] of [['since', since], ['until', until]]) {
+        if (value === undefined) continue;
+        if (!DAY_PATTERN.test(value) || isNaN(Date.parse(value))) {
+            throw new Error(`Invalid ${key} \`${value}\`. Use a date like 2024-01-31.`);
+        }
+        filters[key] = value;
+    }
+    if (filters.since && filters.until && filters.since > filters.until) {
+        throw new Error('`since` must not be after `until`.');
+    }
 
-                progress.updateTotalMessagesFetched(messages.size);
+    if (channels !== undefined) {
+        filters.channelIds = [];
+        for (const value of channels.split(',').map(v => v.trim()).filter(Boolean)) {
+            const id = value.replace(/^<#(\d+)>$/, '$1');
+            const name = value.replace(/^#/, '').toLowerCase();
+            const channel = guild.channels.cache.get(id) ||
+                guild.channels.cache.find(c => c.name.toLowerCase() === name);
+            if (!channel) {
+                throw new Error(`Unknown channel \`${value}\`.`);
             }
-
-            channel.messages.cache.clear();
-
-            if (channelMessages > 0) {
-                debugLog(`Channel ${channel.name}: ${channelMessages} messages for user ${userId}`);
+            if (!isCountedChannel(channel) && !isThreadParent(channel)) {
+                throw new Error(`<#${channel.id}> is not a channel with messages.`);
             }
-
-        } catch (error) {
-            debugLog(`Error in channel ${channel.name}:`, error);
-            continue;
+            filters.channelIds.push(channel.id);
+        }
+        if (filters.channelIds.length === 0) {
+            throw new Error('No channels given. Use `channels=#a,#b`.');
         }
     }
 
-    debugLog(`Total messages for user ${userId}: ${totalMessages}`);
-    return totalMessages;
+    return filters;
+}
+
+// Human-readable summary of export filters, empty when unfiltered
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.since) parts.push(`since ${filters.since}`);
+    if (filters.until) parts.push(`until ${filters.until}`);
+    if (filters.channelIds) parts.push(`in ${filters.channelIds.map(id => `<#${id}>`).join(', ')}`);
+    return parts.join(' ');
 }
 
 function formatTime(seconds) {
@@ -130,131 +180,517 @@ function formatTime(seconds) {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
-async function updateProgressMessage(progressMessage, progress, member, members, startTime) {
+// Render the progress message shown while an export runs and by `!count export status`
+function buildProgressText(progress) {
     const currentTime = Date.now();
-    const elapsedTime = (currentTime - startTime) / 1000;
+    const elapsedTime = (currentTime - progress.startTime) / 1000;
     const processedCount = progress.processedUsers.size;
-    const remainingUsers = members.length - processedCount;
-    
-    const timePerUser = processedCount > 0 ? elapsedTime / processedCount : 0;
-    const estimatedTimeRemaining = processedCount > 0 ? (timePerUser * remainingUsers) : 0;
-    
-    const progressPercent = ((processedCount / members.length) * 100).toFixed(2);
+    const totalUsers = progress.totalUsers || processedCount;
+    const remainingUsers = totalUsers - processedCount;
+
+    const sessionProcessed = processedCount - progress.sessionStartCount;
+    const timePerUser = sessionProcessed > 0 ? (currentTime - progress.sessionStartTime) / 1000 / sessionProcessed : 0;
+    const estimatedTimeRemaining = timePerUser * remainingUsers;
+
+    const progressPercent = totalUsers > 0 ? ((processedCount / totalUsers) * 100).toFixed(2) : '0.00';
     const progressBar = '█'.repeat(Math.floor(progressPercent / 5)) + '░'.repeat(20 - Math.floor(progressPercent / 5));
 
-    const progressMsg = [
+    const status = progress.phase === 'indexing' ?
+        [
+            `📊 **Status**`,
+            `• Indexing channel history`,
+            `• Messages fetched: ${progress.totalMessagesFetched}`
+        ] :
+        progress.phase === 'delivering' ?
+        [
+            `📊 **Status**`,
+            `• Export complete, uploading ${path.basename(progress.finalFilePath)}`
+        ] :
+        [
+            `📊 **Status**`,
+            `• Batch: ${progress.currentBatch}/${progress.totalBatches}`,
+            `• Processed: ${processedCount}/${totalUsers} users`,
+            `• Current: ${progress.currentUser || '-'}`
+        ];
+    const scope = describeFilters(progress.filters);
+    if (scope) status.push(`• Messages: ${scope}`);
+    const skipped = getMessageCountIndex(progress.guildId).skipped;
+    if (skipped.size > 0) status.push(`• Skipped channels: ${skipped.size}`);
+
+    return [
         `🤖 **Discord User Data Export**`,
         `━━━━━━━━━━━━━━━━━━━━━━`,
         `Progress: ${progressBar} ${progressPercent}%`,
         ``,
-        `📊 **Status**`,
-        `• Batch: ${progress.currentBatch}/${progress.totalBatches}`,
-        `• Processed: ${processedCount}/${members.length} users`,
-        `• Current: ${member.user.tag}`,
+        ...status,
         ``,
         `⏱ **Timing**`,
         `• Per User: ${timePerUser.toFixed(1)}s`,
         `• Elapsed: ${formatTime(elapsedTime)}`,
-        `• Remaining: ${formatTime(estimatedTimeRemaining)}`,
+        `• Remaining: ${progress.phase === 'indexing' ? 'Calculating...' : formatTime(estimatedTimeRemaining)}`,
         ``,
         `🔄 Last Update: ${new Date().toISOString().replace('T', ' ').split('.')[0]} UTC`
     ].join('\n');
+}
 
+async function updateProgressMessage(progressMessage, progress) {
     try {
-        await progressMessage.edit(progressMsg);
-        progress.lastUpdateTime = currentTime;
-        debugLog(`Progress message updated: ${processedCount}/${members.length}`);
+        await progressMessage.edit(buildProgressText(progress));
+        progress.lastUpdateTime = Date.now();
+        debugLog(`Progress message updated: ${progress.processedUsers.size}/${progress.totalUsers}`);
     } catch (error) {
         debugLog('Failed to update progress message:', error);
     }
 }
 
-async function exportUserDataToCSV(guild, progressMessage) {
-    debugLog('Starting CSV export with batch processing');
-    
-    const progress = new ExportProgress(guild.id);
-    const resuming = await progress.load();
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
 
-    const csvHeader = ['User ID', 'Username', 'Highest Role', 'Server Join Date', 'Discord Join Date', 'Message Count'];
-    let csvRows = resuming ? [] : [csvHeader];
+// Export all members, resuming from saved progress if an earlier run was interrupted.
+// Returns the final file path, or null if the export was cancelled.
+// options.getHighestRoleName(member) overrides the Highest Role column (default: the member's top role)
+// options.filters limits the message columns (see resolveExportFilters) and options.format picks
+// the output format; both are omitted on resume to keep the saved ones.
+// options.deliver(file) uploads the finished export; the file is only removed once it resolves,
+// and an export interrupted before then is delivered again on resume without re-exporting
+async function exportUserData(guild, progressMessage, options = {}) {
+    debugLog('Starting member export with batch processing');
+    const getHighestRoleName = options.getHighestRoleName || (member => member.roles.highest.name);
+
+    if (activeExports.has(guild.id)) {
+        throw new Error(`An export is already running for guild ${guild.id}`);
+    }
 
-    await guild.members.fetch();
-    const members = Array.from(guild.members.cache.values())
-        .filter(member => !member.user.bot && !progress.processedUsers.has(member.id));
+    const progress = new ExportProgress(guild.id);
+    activeExports.set(guild.id, progress);
 
-    // Release cache after extracting the member list we need
-    guild.members.cache.clear();
+    try {
+        let resuming = await progress.load();
+
+        // A new export with different settings replaces an interrupted one
+        const settingsChanged = (options.filters && JSON.stringify(options.filters) !== JSON.stringify(progress.filters)) ||
+            (options.format && options.format !== progress.format);
+        if (resuming && settingsChanged) {
+            debugLog('Saved export progress used different settings, starting fresh');
+            await fs.unlink(progress.tempFilePath).catch(() => {});
+            if (progress.finalFilePath) await fs.unlink(progress.finalFilePath).catch(() => {});
+            progress.tempFilePath = null;
+        }
 
-    progress.totalBatches = Math.ceil(members.length / BATCH_SIZE);
+        // Finished before the restart but not yet delivered
+        if (resuming && !settingsChanged && progress.finalFilePath && await fileExists(progress.finalFilePath)) {
+            progress.channelId = progressMessage.channelId;
+            progress.messageId = progressMessage.id;
+            return await deliverUserData(progress, progressMessage, options.deliver);
+        }
+        progress.finalFilePath = null;
+
+        // Rows written before the restart live in the staging file; without it we have to start over.
+        // Progress saved before formats existed staged CSV, which can't be resumed either.
+        if (resuming && !(progress.format && progress.tempFilePath && await fileExists(progress.tempFilePath))) {
+            debugLog('Saved export progress has no staged rows, starting fresh');
+            resuming = false;
+            progress.processedUsers.clear();
+            progress.currentBatch = 0;
+            progress.startTime = Date.now();
+        }
+        if (options.filters) progress.filters = options.filters;
+        progress.format = options.format || progress.format || 'csv';
 
-    const tempFilePath = path.join(process.cwd(), `temp_export_${guild.id}_${Date.now()}.csv`);
-    const finalFilePath = path.join(process.cwd(), `user_data_${guild.id}_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+        progress.channelId = progressMessage.channelId;
+        progress.messageId = progressMessage.id;
+        if (!resuming) {
+            progress.tempFilePath = path.join(process.cwd(), `temp_export_${guild.id}_${Date.now()}.ndjson`);
+        }
+        const staged = new StagedExport(progress.tempFilePath, USER_EXPORT_COLUMNS);
+        if (!resuming) await staged.create();
+
+        await progress.save();
+        await updateProgressMessage(progressMessage, progress);
+
+        // Drop the staged rows and saved progress of a cancelled export
+        const stopCancelled = async () => {
+            debugLog(`Export cancelled for guild ${guild.id}`);
+            await fs.unlink(progress.tempFilePath).catch(() => {});
+            await progress.cleanup();
+            return null;
+        };
 
-    // Write BOM at the very start so no large in-memory read is needed at the end
-    await fs.writeFile(tempFilePath, '\ufeff');
+        // One pass over channel history instead of one per member. The index is shared with
+        // other commands, so a cancel during the sync takes effect once it has finished.
+        await getMessageCountIndex(guild.id).sync(guild, count => {
+            progress.updateTotalMessagesFetched(count);
+            if (Date.now() - progress.lastUpdateTime >= MESSAGE_UPDATE_INTERVAL) {
+                updateProgressMessage(progressMessage, progress);
+            }
+        });
+        if (progress.cancelled) return await stopCancelled();
+
+        await guild.members.fetch();
+        const allMembers = Array.from(guild.members.cache.values()).filter(member => !member.user.bot);
+        const members = allMembers.filter(member => !progress.processedUsers.has(member.id));
+
+        // Release cache after extracting the member list we need
+        guild.members.cache.clear();
+
+        progress.phase = 'exporting';
+        progress.totalUsers = progress.processedUsers.size + members.length;
+        progress.totalBatches = progress.currentBatch + Math.ceil(members.length / BATCH_SIZE);
+        progress.sessionStartTime = Date.now();
+        progress.sessionStartCount = progress.processedUsers.size;
+
+        const finalFilePath = path.join(process.cwd(), `user_data_${guild.id}_${new Date().toISOString().replace(/[:.]/g, '-')}.${progress.format}`);
+        let rows = [];
+
+        // Rows are flushed before each progress save so a resume never loses or repeats a member
+        const flush = async () => {
+            await staged.append(rows);
+            rows = [];
+            await progress.save();
+        };
 
-    try {
         for (let i = 0; i < members.length; i += BATCH_SIZE) {
             progress.currentBatch++;
             const batch = members.slice(i, i + BATCH_SIZE);
-            
+
             for (const member of batch) {
-                const currentTime = Date.now();
-                if (currentTime - progress.lastUpdateTime >= MESSAGE_UPDATE_INTERVAL) {
-                    await updateProgressMessage(progressMessage, progress, member, members, progress.startTime);
+                if (progress.cancelled) return await stopCancelled();
+
+                progress.currentUser = member.user.tag;
+                if (Date.now() - progress.lastUpdateTime >= MESSAGE_UPDATE_INTERVAL) {
+                    await updateProgressMessage(progressMessage, progress);
                 }
 
-                let messageCount = 0;
+                let stats = { messageCount: 0, firstMessageDate: null, lastMessageDate: null, activeDays: 0, byCategory: {} };
                 try {
-                    messageCount = await getUserMessageCount(guild, member.id, progress);
+                    stats = getMessageCountIndex(guild.id).getStats(member.id, progress.filters);
                 } catch (error) {
                     debugLog(`Error counting messages for ${member.user.tag}:`, error);
                 }
 
-                csvRows.push([
+                rows.push([
                     member.id,
-                    cleanCSVString(`${member.user.username}#${member.user.discriminator}`),
-                    cleanCSVString(member.roles.highest.name),
-                    formatDate(member.joinedAt),
-                    formatDate(member.user.createdAt),
-                    messageCount
+                    `${member.user.username}#${member.user.discriminator}`,
+                    getHighestRoleName(member),
+                    member.joinedAt,
+                    member.user.createdAt,
+                    stats.messageCount,
+                    stats.firstMessageDate,
+                    stats.lastMessageDate,
+                    stats.activeDays,
+                    ...CHANNEL_CATEGORIES.map(category => stats.byCategory[category] || 0)
                 ]);
 
                 progress.processedUsers.add(member.id);
-                
-                if (progress.processedUsers.size % SAVE_INTERVAL === 0) {
-                    await progress.save();
-                }
 
-                if (csvRows.length >= 100) {
-                    await fs.appendFile(tempFilePath, csvRows.map(row => row.join(',')).join('\n') + '\n');
-                    csvRows = [];
+                if (progress.processedUsers.size % SAVE_INTERVAL === 0) {
+                    await flush();
                 }
             }
         }
 
-        if (csvRows.length > 0) {
-            await fs.appendFile(tempFilePath, csvRows.map(row => row.join(',')).join('\n') + '\n');
-        }
+        await flush();
+        if (progress.cancelled) return await stopCancelled();
+        await staged.finalize(finalFilePath, progress.format, { sheetName: 'Members' });
+        progress.finalFilePath = finalFilePath;
+        progress.currentUser = null;
 
-        // Rename temp file to final path — BOM was already written at the start
-        await fs.rename(tempFilePath, finalFilePath);
-        
-        // Final progress update
-        await updateProgressMessage(progressMessage, progress, members[members.length - 1], members, progress.startTime);
-        
-        return finalFilePath;
+        return await deliverUserData(progress, progressMessage, options.deliver);
 
     } catch (error) {
+        // Progress and the staged rows are kept so the export resumes on the next run
         debugLog('Error in export:', error);
         throw error;
     } finally {
-        await progress.cleanup();
+        activeExports.delete(guild.id);
+    }
+}
+
+// Hand a finished member export to deliver() and clean up once it has been sent
+async function deliverUserData(progress, progressMessage, deliver) {
+    progress.phase = 'delivering';
+    await progress.save();
+    await updateProgressMessage(progressMessage, progress);
+
+    const staged = new StagedExport(progress.tempFilePath, USER_EXPORT_COLUMNS);
+    if (deliver) {
+        await deliver({
+            filePath: progress.finalFilePath,
+            fileName: path.basename(progress.finalFilePath),
+            format: progress.format,
+            columns: USER_EXPORT_COLUMNS,
+            sheetName: 'Members',
+            stagingPath: progress.tempFilePath
+        });
+        await fs.unlink(progress.finalFilePath).catch(() => {});
+    }
+
+    await staged.remove();
+    await progress.cleanup();
+    return progress.finalFilePath;
+}
+
+// Readable channel type for the channel activity summary
+function describeChannelType(channel) {
+    if (!channel) return 'Deleted';
+    switch (channel.type) {
+        case ChannelType.GuildText: return 'Text';
+        case ChannelType.GuildAnnouncement: return 'Announcement';
+        case ChannelType.GuildVoice: return 'Voice';
+        case ChannelType.GuildStageVoice: return 'Stage';
+        case ChannelType.GuildForum: return 'Forum';
+        case ChannelType.GuildMedia: return 'Media';
+        default: return 'Thread';
     }
 }
 
+// Export a members x channels message matrix and a per-channel summary as two files.
+// Threads and forum posts count towards their parent channel. Only members with at
+// least one message in the window get a matrix row.
+// Returns { matrix, summary }, each a file description for sendExportFile
+async function exportChannelActivity(guild, filters, format = 'csv', onFetched = null) {
+    debugLog('Starting channel activity export');
+    const index = getMessageCountIndex(guild.id);
+    await index.sync(guild, onFetched);
+
+    const activity = index.getChannelActivity(filters);
+    const channels = Array.from(activity.entries())
+        .map(([channelId, entry]) => ({
+            channelId,
+            channel: guild.channels.cache.get(channelId),
+            total: Array.from(entry.authors.values()).reduce((sum, count) => sum + count, 0),
+            ...entry
+        }))
+        .sort((a, b) => b.total - a.total);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const matrixPath = path.join(process.cwd(), `channel_activity_${guild.id}_${timestamp}.${format}`);
+    const summaryPath = path.join(process.cwd(), `channel_summary_${guild.id}_${timestamp}.${format}`);
+    const channelName = entry => entry.channel ? `#${entry.channel.name}` : entry.channelId;
+
+    const summaryColumns = [
+        { key: 'channelId', header: 'Channel ID' },
+        { key: 'channel', header: 'Channel' },
+        { key: 'type', header: 'Type' },
+        { key: 'messages', header: 'Messages', type: 'number' },
+        { key: 'uniquePosters', header: 'Unique Posters', type: 'number' },
+        { key: 'lastMessageDate', header: 'Last Message Date', type: 'date' }
+    ];
+    const summaryRows = channels.map(entry => [
+        entry.channelId,
+        channelName(entry),
+        describeChannelType(entry.channel),
+        entry.total,
+        entry.authors.size,
+        entry.lastMessageDate
+    ]);
+    await writeExport(summaryPath, format, summaryColumns, summaryRows, { sheetName: 'Channels' });
+    const summary = { filePath: summaryPath, fileName: path.basename(summaryPath), format, columns: summaryColumns, sheetName: 'Channels', rows: summaryRows };
+
+    await guild.members.fetch();
+    const members = Array.from(guild.members.cache.values()).filter(member => !member.user.bot);
+    guild.members.cache.clear();
+
+    // Channel columns are keyed by ID in JSON since names can repeat
+    const matrixColumns = [
+        { key: 'userId', header: 'User ID' },
+        { key: 'username', header: 'Username' },
+        { key: 'total', header: 'Total', type: 'number' },
+        ...channels.map(entry => ({ key: entry.channelId, header: channelName(entry), type: 'number' }))
+    ];
+    const matrixRows = [];
+    for (const member of members) {
+        const counts = channels.map(entry => entry.authors.get(member.id) || 0);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total === 0) continue;
+        matrixRows.push([member.id, `${member.user.username}#${member.user.discriminator}`, total, ...counts]);
+    }
+    await writeExport(matrixPath, format, matrixColumns, matrixRows, { sheetName: 'Activity' });
+    const matrix = { filePath: matrixPath, fileName: path.basename(matrixPath), format, columns: matrixColumns, sheetName: 'Activity', rows: matrixRows };
+
+    debugLog(`Channel activity export completed - ${channels.length} channels, ${matrixRows.length} members with messages`);
+    return { matrix, summary };
+}
+
+function setupExportCommands(client, { debugLog, commands, getHighestRoleName }) {
+    // List the channels the index couldn't read, within Discord's 2000 character limit
+    function describeSkippedChannels(skipped) {
+        if (skipped.size === 0) return '';
+        const lines = [`\n⚠️ ${skipped.size} channel(s) could not be read and are not counted:`];
+        for (const [channelId, { name, category, reason }] of skipped) {
+            const line = `• <#${channelId}> (${name}, ${category || 'channel'}): ${reason}`;
+            if (lines.join('\n').length + line.length > 1500) {
+                lines.push(`• ...and ${skipped.size - lines.length + 1} more`);
+                break;
+            }
+            lines.push(line);
+        }
+        return lines.join('\n');
+    }
+
+    async function runExport(guild, progressMessage, filters, format) {
+        const filePath = await exportUserData(guild, progressMessage, {
+            getHighestRoleName,
+            filters,
+            format,
+            // Built on delivery, once the export's sync has recorded the channels it couldn't read
+            deliver: file => {
+                const scope = describeFilters(filters);
+                const skipped = describeSkippedChannels(getMessageCountIndex(guild.id).skipped);
+                const content = `Here is your requested user export${scope ? ` (messages ${scope})` : ''}:${skipped}`;
+                return sendExportFile(progressMessage.channel, file, content);
+            }
+        });
+        if (!filePath) {
+            await progressMessage.edit('🤖 **Discord User Data Export**\nExport cancelled.').catch(() => {});
+            return;
+        }
+        debugLog('Export command completed successfully');
+    }
+
+    // Continue exports that were interrupted by a restart, in the channel they were started from
+    async function resumeExports() {
+        for (const guild of client.guilds.cache.values()) {
+            const saved = new ExportProgress(guild.id);
+            if (!(await saved.load()) || !saved.channelId) continue;
+
+            try {
+                const channel = await client.channels.fetch(saved.channelId);
+                const progressMessage = await channel.messages.fetch(saved.messageId).catch(() => null) ||
+                    await channel.send('🤖 **Discord User Data Export**\nResuming export...');
+                debugLog(`Resuming export for guild ${guild.name} (${saved.processedUsers.size} users done)`);
+                await runExport(guild, progressMessage, saved.filters, saved.format);
+            } catch (error) {
+                debugLog(`Failed to resume export for guild ${guild.name}:`, error);
+            }
+        }
+    }
+
+    client.once('ready', () => {
+        resumeExports();
+    });
+
+    // Start an export for a message or slash command context
+    // args: { since, until, channels, format } as strings, all optional
+    async function startExport(ctx, args = {}) {
+        if (activeExports.has(ctx.guild.id)) {
+            await ctx.replyError('An export is already running. Use `!count export status` to check on it or `!count export cancel` to stop it.');
+            return;
+        }
+
+        let filters, format;
+        try {
+            filters = resolveExportFilters(ctx.guild, args);
+            format = parseExportFormat(args.format);
+        } catch (error) {
+            await ctx.replyError(error.message);
+            return;
+        }
+
+        try {
+            const scope = describeFilters(filters);
+            const progressMessage = await ctx.send(`🤖 **Discord User Data Export**\nStarting export${scope ? ` (messages ${scope})` : ''}...`);
+            await runExport(ctx.guild, progressMessage, filters, format);
+        } catch (error) {
+            debugLog('Error in export command:', error);
+            await ctx.replyError('An error occurred while generating the export. Progress was saved and the export will resume on the next restart.');
+        }
+    }
+
+    // Export the members x channels matrix and channel summary
+    // args: { since, until, channels, format } as strings, all optional
+    async function exportChannels(ctx, args = {}) {
+        let filters, format;
+        try {
+            filters = resolveExportFilters(ctx.guild, args);
+            format = parseExportFormat(args.format);
+        } catch (error) {
+            await ctx.replyError(error.message);
+            return;
+        }
+
+        let files = [];
+        try {
+            const scope = describeFilters(filters);
+            await ctx.send(`Generating channel activity export${scope ? ` (messages ${scope})` : ''}... This might take a while if the message index is still being built.`);
+            const { matrix, summary } = await exportChannelActivity(ctx.guild, filters, format);
+            files = [summary, matrix];
+            const skipped = describeSkippedChannels(getMessageCountIndex(ctx.guild.id).skipped);
+            await sendExportFile(ctx, summary, `Here is the channel activity export: per-channel totals and unique posters, then messages per member and channel.${skipped}`);
+            await sendExportFile(ctx, matrix, 'Messages per member and channel:');
+            // Only removed once both were delivered
+            for (const file of files) {
+                await fs.unlink(file.filePath).catch(() => {});
+            }
+        } catch (error) {
+            debugLog('Error in channel activity export:', error);
+            if (files.length > 0) {
+                debugLog(`Channel activity export kept locally: ${files.map(file => file.filePath).join(', ')}`);
+            }
+            await ctx.replyError('An error occurred while generating the channel activity export.');
+        }
+    }
+
+    async function exportStatus(ctx) {
+        const progress = activeExports.get(ctx.guild.id);
+        if (!progress) {
+            await ctx.replyError('No export is running.');
+            return;
+        }
+        await ctx.send(buildProgressText(progress));
+    }
+
+    async function cancelExport(ctx) {
+        const progress = activeExports.get(ctx.guild.id);
+        if (!progress) {
+            await ctx.replyError('No export is running.');
+            return;
+        }
+        if (progress.phase === 'delivering') {
+            await ctx.replyError('The export has finished and is being uploaded.');
+            return;
+        }
+        progress.cancelled = true;
+        await ctx.send(progress.phase === 'indexing' ?
+            'Export will be cancelled once channel history indexing has finished.' :
+            'Export will be cancelled after the current member.');
+    }
+
+    const filterUsage = '[since=YYYY-MM-DD] [until=YYYY-MM-DD] [channels=#a,#b] [format=csv|json|ndjson|xlsx]';
+    commands.register({
+        name: 'count export',
+        usage: `!count export ${filterUsage}`,
+        description: 'Export all members with message counts, optionally limited to a date range and/or channels',
+        run: (ctx, options) => startExport(ctx, options)
+    });
+    commands.register({
+        name: 'count export channels',
+        usage: `!count export channels ${filterUsage}`,
+        description: 'Export per-channel message counts and a per-channel activity summary',
+        run: (ctx, options) => exportChannels(ctx, options)
+    });
+    commands.register({
+        name: 'count export status',
+        description: 'Show the progress and estimated time remaining of the running export',
+        run: ctx => exportStatus(ctx)
+    });
+    commands.register({
+        name: 'count export cancel',
+        description: 'Cancel the running export',
+        run: ctx => cancelExport(ctx)
+    });
+
+    return { startExport, exportChannels, exportStatus, cancelExport };
+}
+
 module.exports = {
     ExportProgress,
-    exportUserDataToCSV,
-    getUserMessageCount
+    exportChannelActivity,
+    setupExportCommands
 };
\ No newline at end of file
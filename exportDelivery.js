@@ -0,0 +1,149 @@
+const { AttachmentBuilder } = require('discord.js');
+const { debugLog, formatFileSize } = require('./utils');
+const { readStagedRows, writeExport } = require('./exportWriter');
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+// Upload limit by server boost tier; EXPORT_UPLOAD_LIMIT_MB overrides it
+const UPLOAD_LIMITS_MB = [10, 10, 50, 100];
+// Leave room for the multipart request around the file
+const UPLOAD_HEADROOM = 0.95;
+const MAX_PARTS = 100;
+
+function getUploadLimit(guild) {
+    const overrideMb = parseFloat(process.env.EXPORT_UPLOAD_LIMIT_MB);
+    const limitMb = overrideMb > 0 ? overrideMb : UPLOAD_LIMITS_MB[guild.premiumTier] || UPLOAD_LIMITS_MB[0];
+    return Math.floor(limitMb * 1024 * 1024 * UPLOAD_HEADROOM);
+}
+
+async function getFileSize(filePath) {
+    return (await fs.promises.stat(filePath)).size;
+}
+
+async function gzipFile(filePath) {
+    const gzipPath = `${filePath}.gz`;
+    await pipeline(fs.createReadStream(filePath), zlib.createGzip({ level: 9 }), fs.createWriteStream(gzipPath));
+    return gzipPath;
+}
+
+// Rows start..end (exclusive) of an export, from memory or its NDJSON staging file
+async function* sliceRows(file, start, end) {
+    if (file.rows) {
+        yield* file.rows.slice(start, end);
+        return;
+    }
+    let index = 0;
+    for await (const row of readStagedRows(file.stagingPath)) {
+        if (index >= end) break;
+        if (index >= start) yield row;
+        index++;
+    }
+}
+
+async function countRows(file) {
+    if (file.rows) return file.rows.length;
+    let count = 0;
+    for await (const row of readStagedRows(file.stagingPath)) count++;
+    return count;
+}
+
+// Render the export in row ranges, each compressed unless it's XLSX, until every part fits
+async function splitExport(file, limit, compressedSize) {
+    const totalRows = await countRows(file);
+    let partCount = Math.max(2, Math.ceil(compressedSize / (limit * 0.8)));
+
+    while (partCount <= MAX_PARTS) {
+        const rowsPerPart = Math.ceil(totalRows / partCount);
+        const parts = [];
+        let fits = true;
+
+        for (let start = 0; start < totalRows; start += rowsPerPart) {
+            const end = Math.min(start + rowsPerPart, totalRows);
+            const number = parts.length + 1;
+            const partPath = `${file.filePath}.part${number}`;
+            await writeExport(partPath, file.format, file.columns, sliceRows(file, start, end), { sheetName: file.sheetName });
+
+            let uploadPath = partPath;
+            if (file.format !== 'xlsx') {
+                uploadPath = await gzipFile(partPath);
+                await fs.promises.unlink(partPath);
+            }
+
+            const extension = file.format === 'xlsx' ? '' : '.gz';
+            const name = file.fileName.replace(/(\.[^.]+)$/, `_part${number}$1`) + extension;
+            parts.push({ path: uploadPath, name, firstRow: start + 1, lastRow: end, size: await getFileSize(uploadPath) });
+
+            if (parts[parts.length - 1].size > limit) {
+                fits = false;
+                break;
+            }
+        }
+
+        if (fits) return parts;
+
+        await Promise.all(parts.map(part => fs.promises.unlink(part.path).catch(() => {})));
+        partCount *= 2;
+    }
+
+    throw new Error(`Export does not fit the upload limit even in ${MAX_PARTS} parts`);
+}
+
+// Send one export file, compressing and then splitting it when it exceeds the upload limit.
+// file: { filePath, fileName, format, columns, sheetName, rows | stagingPath }
+// rows (in memory) or stagingPath (NDJSON) let oversized exports be re-rendered in parts.
+// target is anything with guild and send(payload): a channel or a command context.
+// The original file is left in place; the caller removes it once this resolves.
+async function sendExportFile(target, file, content) {
+    const limit = getUploadLimit(target.guild);
+    const size = await getFileSize(file.filePath);
+
+    if (size <= limit) {
+        await target.send({ content, files: [new AttachmentBuilder(file.filePath, { name: file.fileName })] });
+        return;
+    }
+
+    // XLSX is already zip-compressed
+    let compressedSize = size;
+    if (file.format !== 'xlsx') {
+        const gzipPath = await gzipFile(file.filePath);
+        try {
+            compressedSize = await getFileSize(gzipPath);
+            if (compressedSize <= limit) {
+                debugLog(`Export ${file.fileName} compressed from ${formatFileSize(size)} to ${formatFileSize(compressedSize)}`);
+                await target.send({
+                    content: `${content}\n📦 Compressed with gzip (${formatFileSize(size)} → ${formatFileSize(compressedSize)}).`,
+                    files: [new AttachmentBuilder(gzipPath, { name: `${file.fileName}.gz` })]
+                });
+                return;
+            }
+        } finally {
+            await fs.promises.unlink(gzipPath).catch(() => {});
+        }
+    }
+
+    const parts = await splitExport(file, limit, compressedSize);
+    try {
+        debugLog(`Export ${file.fileName} split into ${parts.length} parts`);
+        const manifest = [
+            content,
+            `📦 **${file.fileName}** is ${formatFileSize(size)}, over the ${formatFileSize(limit)} upload limit, so it follows in ${parts.length} parts:`,
+            ...parts.map((part, i) => `• Part ${i + 1}: \`${part.name}\` - rows ${part.firstRow}-${part.lastRow} (${part.lastRow - part.firstRow + 1} rows, ${formatFileSize(part.size)})`)
+        ].join('\n');
+        await target.send(manifest.length > 2000 ? manifest.slice(0, 1997) + '...' : manifest);
+
+        for (let i = 0; i < parts.length; i++) {
+            await target.send({
+                content: `Part ${i + 1}/${parts.length} of ${file.fileName}`,
+                files: [new AttachmentBuilder(parts[i].path, { name: parts[i].name })]
+            });
+        }
+    } finally {
+        await Promise.all(parts.map(part => fs.promises.unlink(part.path).catch(() => {})));
+    }
+}
+
+module.exports = {
+    getUploadLimit,
+    sendExportFile
+};
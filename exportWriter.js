@@ -0,0 +1,154 @@
+const ExcelJS = require('exceljs');
+const { cleanCSVString } = require('./utils');
+const fs = require('fs');
+const { once } = require('events');
+const readline = require('readline');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'xlsx'];
+const DEFAULT_FORMAT = 'csv';
+
+// Validate a format= argument; throws an Error with a user-facing message if unsupported
+function parseExportFormat(value) {
+    if (value === undefined || value === null) return DEFAULT_FORMAT;
+    const format = String(value).toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format \`${value}\`. Use one of: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    return format;
+}
+
+// Dates are UTC everywhere: ISO 8601 in text formats, date cells in XLSX
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function formatTextValue(value, type) {
+    if (value === null || value === undefined) return null;
+    if (type === 'date' || type === 'datetime') {
+        const date = toDate(value);
+        if (!date) return null;
+        const iso = date.toISOString();
+        return type === 'date' ? iso.split('T')[0] : iso.split('.')[0] + 'Z';
+    }
+    return value;
+}
+
+async function* readStagedRows(stagingPath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(stagingPath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim()) yield JSON.parse(line);
+    }
+}
+
+// Write to a stream, waiting whenever its buffer is full
+async function writeChunk(stream, chunk) {
+    if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+async function endStream(stream) {
+    stream.end();
+    await once(stream, 'finish');
+}
+
+async function renderText(rows, columns, format, outputPath) {
+    const stream = fs.createWriteStream(outputPath, { encoding: 'utf8' });
+
+    if (format === 'csv') {
+        // BOM so Excel opens the CSV as UTF-8
+        await writeChunk(stream, '\ufeff' + columns.map(column => cleanCSVString(column.header)).join(',') + '\n');
+    } else if (format === 'json') {
+        await writeChunk(stream, '[');
+    }
+
+    let first = true;
+    for await (const row of rows) {
+        const values = columns.map((column, i) => formatTextValue(row[i], column.type));
+        if (format === 'csv') {
+            await writeChunk(stream, values.map(value => value === null ? '' : cleanCSVString(String(value))).join(',') + '\n');
+            continue;
+        }
+
+        const record = JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.key, values[i]])));
+        if (format === 'ndjson') {
+            await writeChunk(stream, record + '\n');
+        } else {
+            await writeChunk(stream, (first ? '\n' : ',\n') + record);
+        }
+        first = false;
+    }
+
+    if (format === 'json') await writeChunk(stream, first ? ']\n' : '\n]\n');
+    await endStream(stream);
+}
+
+async function renderXlsx(rows, columns, outputPath, sheetName) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: outputPath, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: Math.max(12, column.header.length + 2),
+        style: column.type === 'datetime' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } :
+            column.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+    }));
+
+    for await (const row of rows) {
+        const values = columns.map((column, i) => {
+            if (column.type === 'date' || column.type === 'datetime') return toDate(row[i]);
+            // Keep IDs as text so Excel doesn't round 18-digit snowflakes
+            return row[i] === undefined ? null : row[i];
+        });
+        sheet.addRow(values).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+}
+
+// Render rows (array or async iterable of value arrays in column order) to outputPath.
+// columns: [{ key, header, type }] where type is 'string' (default), 'number', 'date' (day) or 'datetime'
+async function writeExport(outputPath, format, columns, rows, { sheetName = 'Export' } = {}) {
+    if (format === 'xlsx') {
+        await renderXlsx(rows, columns, outputPath, sheetName);
+    } else {
+        await renderText(rows, columns, format, outputPath);
+    }
+    return outputPath;
+}
+
+// Rows are staged as NDJSON so long exports can append across restarts,
+// then rendered to the requested format once complete. The staging file is kept
+// until remove() so an oversized export can be re-rendered in parts.
+class StagedExport {
+    constructor(stagingPath, columns) {
+        this.stagingPath = stagingPath;
+        this.columns = columns;
+    }
+
+    async create() {
+        await fs.promises.writeFile(this.stagingPath, '');
+    }
+
+    async append(rows) {
+        if (rows.length === 0) return;
+        await fs.promises.appendFile(this.stagingPath, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+    }
+
+    async finalize(outputPath, format, options) {
+        return writeExport(outputPath, format, this.columns, readStagedRows(this.stagingPath), options);
+    }
+
+    async remove() {
+        await fs.promises.unlink(this.stagingPath).catch(() => {});
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    StagedExport,
+    parseExportFormat,
+    readStagedRows,
+    writeExport
+};
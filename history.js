@@ -0,0 +1,290 @@
+const { AttachmentBuilder } = require('discord.js');
+const { debugLog, cleanCSVString } = require('./utils');
+const fs = require('fs');
+const path = require('path');
+
+// Constants for history storage
+const HISTORY_DIR = 'data';
+const RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS) || 365;
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CountHistory {
+    constructor(guildId) {
+        this.filePath = path.join(HISTORY_DIR, `count_history_${guildId}.ndjson`);
+        this.lastPruneDate = null;
+        // Appends and prunes run one at a time so a prune never drops or splits an appended line
+        this.writes = Promise.resolve();
+        // Snapshots from findBefore's look-back window on, so channel updates don't reread the file
+        this.recent = null;
+        this.recentSince = null;
+    }
+
+    queueWrite(write) {
+        const result = this.writes.then(write);
+        this.writes = result.catch(() => {});
+        return result;
+    }
+
+    // Append a snapshot as a single NDJSON line
+    async record(snapshot) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            ...snapshot
+        };
+        try {
+            await this.queueWrite(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+                if (this.recent) this.recent.push(entry);
+            });
+            debugLog(`History snapshot recorded: total=${entry.total}, unverified=${entry.unverified}`);
+        } catch (error) {
+            debugLog('Error recording history snapshot:', error);
+            return;
+        }
+
+        // Prune at most once per day
+        const today = entry.timestamp.split('T')[0];
+        if (this.lastPruneDate !== today) {
+            this.lastPruneDate = today;
+            await this.prune();
+        }
+    }
+
+    // Load all snapshots recorded at or after sinceMs
+    async load(sinceMs = 0) {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (e) {
+            return [];
+        }
+
+        const snapshots = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (Date.parse(entry.timestamp) >= sinceMs) snapshots.push(entry);
+            } catch (e) {
+                // Skip partially written lines
+            }
+        }
+        return snapshots;
+    }
+
+    // The latest snapshot recorded at or before timeMs (looking back at most a day), or null.
+    // timeMs normally only moves forward, so the file is read once and record() keeps the window current.
+    async findBefore(timeMs) {
+        const since = timeMs - DAY_MS;
+        if (!this.recent || since < this.recentSince) {
+            // Loaded in the write queue so no append lands between the read and the cache
+            this.recent = await this.queueWrite(() => this.load(since));
+        }
+        this.recentSince = since;
+        this.recent = this.recent.filter(snapshot => Date.parse(snapshot.timestamp) >= since);
+
+        let found = null;
+        for (const snapshot of this.recent) {
+            if (Date.parse(snapshot.timestamp) <= timeMs) found = snapshot;
+        }
+        return found;
+    }
+
+    // Drop snapshots older than the retention window, replacing the file in one rename
+    async prune() {
+        try {
+            const kept = await this.queueWrite(async () => {
+                const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+                const snapshots = await this.load(cutoff);
+                const content = snapshots.map(entry => JSON.stringify(entry)).join('\n');
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempPath, content ? content + '\n' : '');
+                await fs.promises.rename(tempPath, this.filePath);
+                return snapshots.length;
+            });
+            debugLog(`History pruned: ${kept} snapshots kept`);
+        } catch (error) {
+            debugLog('Error pruning history:', error);
+        }
+    }
+}
+
+// Keep the last snapshot of each UTC day, oldest first
+function summarizeByDay(snapshots) {
+    const byDay = new Map();
+    for (const snapshot of snapshots) {
+        byDay.set(snapshot.timestamp.split('T')[0], snapshot);
+    }
+    return Array.from(byDay.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, snapshot]) => ({ date, snapshot }));
+}
+
+// Resolve a role argument (ID, mention, role name or tier label) against the configured tiers
+function resolveRole(guild, value, tiers) {
+    const id = value.replace(/^<@&(\d+)>$/, '$1');
+    const lowered = value.toLowerCase();
+    const tier = tiers.find(t => t.roleId === id) ||
+        tiers.find(t => t.label && t.label.toLowerCase() === lowered) ||
+        tiers.find(t => guild.roles.cache.get(t.roleId)?.name.toLowerCase() === lowered);
+    if (!tier) return null;
+
+    return guild.roles.cache.get(tier.roleId) || { id: tier.roleId, name: tier.label || tier.roleId };
+}
+
+// Snapshots recorded before tiers were introduced store countRoles / scheduledRoles instead
+function getRoleCount(snapshot, roleId) {
+    if (snapshot.tiers && roleId in snapshot.tiers) return snapshot.tiers[roleId];
+    if (snapshot.countRoles && roleId in snapshot.countRoles) return snapshot.countRoles[roleId];
+    if (snapshot.scheduledRoles && roleId in snapshot.scheduledRoles) return snapshot.scheduledRoles[roleId];
+    if (snapshot.channelTiers && roleId in snapshot.channelTiers) return snapshot.channelTiers[roleId];
+    return null;
+}
+
+// Count shown in a tier's channel; older snapshots only hold the embed ranking, or scheduledRoles
+function getChannelRoleCount(snapshot, roleId) {
+    if (snapshot.channelTiers && roleId in snapshot.channelTiers) return snapshot.channelTiers[roleId];
+    if (snapshot.scheduledRoles && roleId in snapshot.scheduledRoles) return snapshot.scheduledRoles[roleId];
+    return getRoleCount(snapshot, roleId);
+}
+
+function formatDelta(current, previous) {
+    if (current === null || previous === null || previous === undefined) return '';
+    const delta = current - previous;
+    return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+// Build the rows of the day-by-day delta table
+function buildDeltaTable(days, columns) {
+    const header = ['Date'];
+    columns.forEach(column => header.push(column.label, 'Δ'));
+
+    const rows = days.map(({ date, snapshot }, index) => {
+        const previous = index > 0 ? days[index - 1].snapshot : null;
+        const row = [date];
+        columns.forEach(column => {
+            const value = column.value(snapshot);
+            row.push(value === null ? '-' : `${value}`);
+            row.push(previous ? formatDelta(value, column.value(previous)) : '');
+        });
+        return row;
+    });
+
+    const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+    const formatRow = row => row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+    return [formatRow(header), ...rows.map(formatRow)];
+}
+
+// Build a CSV of every snapshot in the window
+function buildHistoryCSV(guild, snapshots, roleIds) {
+    const roleHeaders = roleIds.map(roleId => {
+        const role = guild.roles.cache.get(roleId);
+        return cleanCSVString(role ? role.name : roleId);
+    });
+    let csvContent = ['Timestamp (UTC)', 'Total', 'Unverified', ...roleHeaders].join(',') + '\n';
+    for (const snapshot of snapshots) {
+        const timestamp = snapshot.timestamp.replace('T', ' ').split('.')[0];
+        const roleValues = roleIds.map(roleId => {
+            const count = getRoleCount(snapshot, roleId);
+            return count === null ? '' : count;
+        });
+        csvContent += [timestamp, snapshot.total, snapshot.unverified, ...roleValues].join(',') + '\n';
+    }
+    return csvContent;
+}
+
+function setupHistoryCommand(client, { getGuildConfig, getCountHistory, debugLog, commands }) {
+    // Reply with the history table for a message or slash command context
+    // args: { days, role } as strings or numbers, both optional
+    async function showHistory(ctx, args) {
+        const days = args.days !== undefined ? parseInt(args.days) : DEFAULT_DAYS;
+        if (isNaN(days) || days <= 0 || days > MAX_DAYS) {
+            await ctx.replyError(`Invalid days. Please specify a number between 1 and ${MAX_DAYS}.`);
+            return;
+        }
+
+        try {
+            const guild = ctx.guild;
+            const { tiers } = getGuildConfig(guild.id);
+            const trackedRoleIds = tiers.map(tier => tier.roleId);
+
+            let role = null;
+            if (args.role) {
+                role = resolveRole(guild, args.role, tiers);
+                if (!role) {
+                    await ctx.replyError(`Unknown role \`${args.role}\`. Use the ID, name or label of a tier role.`);
+                    return;
+                }
+            }
+
+            // Include one extra day so the first row has a delta
+            const since = Date.now() - days * DAY_MS;
+            const snapshots = await getCountHistory(guild.id).load(since - DAY_MS);
+            const dailySnapshots = summarizeByDay(snapshots);
+
+            if (dailySnapshots.length === 0) {
+                await ctx.send('No count history recorded for this period yet.');
+                return;
+            }
+
+            const columns = role ?
+                [{ label: role.name, value: snapshot => getRoleCount(snapshot, role.id) }] :
+                [
+                    { label: 'Total', value: snapshot => snapshot.total },
+                    { label: 'Unverified', value: snapshot => snapshot.unverified }
+                ];
+
+            const sinceDate = new Date(since).toISOString().split('T')[0];
+            const tableLines = buildDeltaTable(dailySnapshots, columns);
+            const headerLine = tableLines.shift();
+            const visibleLines = tableLines.filter(line => line.slice(0, 10) >= sinceDate);
+
+            // Discord message length limit is 2000 characters
+            const title = `Count history for the last ${days} day(s)${role ? ` - ${role.name}` : ''}:\n`;
+            const chunks = [];
+            let currentChunk = [headerLine];
+            for (const line of visibleLines) {
+                if ((currentChunk.join('\n') + line).length > 1800) {
+                    chunks.push(currentChunk);
+                    currentChunk = [headerLine];
+                }
+                currentChunk.push(line);
+            }
+            chunks.push(currentChunk);
+
+            const csvSnapshots = snapshots.filter(snapshot => Date.parse(snapshot.timestamp) >= since);
+            const csvRoleIds = role ? [role.id] : trackedRoleIds;
+            const attachment = new AttachmentBuilder(
+                Buffer.from(buildHistoryCSV(guild, csvSnapshots, csvRoleIds), 'utf-8'),
+                { name: `count_history_${new Date().toISOString().split('T')[0]}.csv` }
+            );
+
+            for (let i = 0; i < chunks.length; i++) {
+                const isLast = i === chunks.length - 1;
+                await ctx.send({
+                    content: `${i === 0 ? title : ''}\`\`\`\n${chunks[i].join('\n')}\n\`\`\``,
+                    files: isLast ? [attachment] : []
+                });
+            }
+
+            debugLog(`Count history command completed - ${visibleLines.length} days, ${csvSnapshots.length} snapshots`);
+        } catch (error) {
+            debugLog('Error in count history command:', error);
+            await ctx.replyError('An error occurred while reading the count history.');
+        }
+    }
+
+    commands.register({
+        name: 'count history',
+        usage: '!count history [days=N] [role=...]',
+        description: 'Show a day-by-day table of count changes with the snapshots attached as CSV',
+        run: (ctx, options) => showHistory(ctx, options)
+    });
+
+    return { showHistory };
+}
+
+module.exports = { CountHistory, getChannelRoleCount, getRoleCount, setupHistoryCommand };
@@ -0,0 +1,203 @@
+// Running member counts per guild, kept up to date from member events and
+// corrected by a periodic full fetch (reconcile)
+
+// Channel names follow a burst of joins or role changes once it settles for this long
+const CHANGE_DELAY_MS = 10 * 1000;
+
+function emptyCounts() {
+    return { total: 0, unverified: 0, tiers: new Map(), channelTiers: new Map() };
+}
+
+// Per-role counts keep only roles with at least one member
+function adjustRole(roleCounts, roleId, delta) {
+    if (!roleId) return;
+    const count = (roleCounts.get(roleId) || 0) + delta;
+    if (count > 0) roleCounts.set(roleId, count);
+    else roleCounts.delete(roleId);
+}
+
+// Classifications of every non-bot member, and the counts derived from them.
+// classifyMember(member) returns null for members that aren't counted (bots),
+// otherwise { verified, tierRoleId, channelRoleId }: the highest tier shown in the
+// embed and the highest tier with a channel, each null when no such tier applies.
+class MemberCountTracker {
+    constructor(classifyMember) {
+        this.classifyMember = classifyMember;
+        this.members = new Map();
+        this.counts = emptyCounts();
+        // Counts are only trusted once the first reconcile has finished
+        this.ready = false;
+        this.reconciling = false;
+        // Events that arrived during a reconcile, replayed over the fetched state
+        this.pending = [];
+        this.lastReconciledAt = null;
+    }
+
+    adjust(classification, delta) {
+        if (!classification) return;
+        this.counts.total += delta;
+        if (!classification.verified) this.counts.unverified += delta;
+        adjustRole(this.counts.tiers, classification.tierRoleId, delta);
+        adjustRole(this.counts.channelTiers, classification.channelRoleId, delta);
+    }
+
+    // Record a member's current roles; returns whether any count changed
+    apply(member) {
+        if (this.reconciling) this.pending.push(['apply', member]);
+
+        const previous = this.members.get(member.id) || null;
+        const current = this.classifyMember(member);
+        if (previous?.verified === current?.verified && previous?.tierRoleId === current?.tierRoleId &&
+            previous?.channelRoleId === current?.channelRoleId) return false;
+
+        this.adjust(previous, -1);
+        this.adjust(current, 1);
+        if (current) this.members.set(member.id, current);
+        else this.members.delete(member.id);
+        return true;
+    }
+
+    // Forget a member who left; returns whether any count changed
+    remove(memberId) {
+        if (this.reconciling) this.pending.push(['remove', memberId]);
+
+        const previous = this.members.get(memberId);
+        if (!previous) return false;
+        this.adjust(previous, -1);
+        this.members.delete(memberId);
+        return true;
+    }
+
+    beginReconcile() {
+        this.reconciling = true;
+        this.pending = [];
+    }
+
+    // Rebuild from a full member list; returns how far the running counts had drifted
+    finishReconcile(members) {
+        const before = this.getCounts();
+
+        this.reconciling = false;
+        this.members.clear();
+        this.counts = emptyCounts();
+        for (const member of members.values()) {
+            const classification = this.classifyMember(member);
+            if (!classification) continue;
+            this.members.set(member.id, classification);
+            this.adjust(classification, 1);
+        }
+
+        for (const [action, value] of this.pending) {
+            if (action === 'apply') this.apply(value);
+            else this.remove(value);
+        }
+        this.pending = [];
+
+        const wasReady = this.ready;
+        this.ready = true;
+        this.lastReconciledAt = Date.now();
+        return wasReady ? diffCounts(before, this.getCounts()) : null;
+    }
+
+    cancelReconcile() {
+        this.reconciling = false;
+        this.pending = [];
+    }
+
+    getCounts() {
+        return {
+            total: this.counts.total,
+            unverified: this.counts.unverified,
+            tiers: new Map(this.counts.tiers),
+            channelTiers: new Map(this.counts.channelTiers)
+        };
+    }
+}
+
+// Differences between two sets of counts, e.g. { total: -2, 'tier <roleId>': 1, 'channel tier <roleId>': 1 }
+function diffCounts(before, after) {
+    const drift = {};
+    if (before.total !== after.total) drift.total = after.total - before.total;
+    if (before.unverified !== after.unverified) drift.unverified = after.unverified - before.unverified;
+    diffRoles(drift, 'tier', before.tiers, after.tiers);
+    diffRoles(drift, 'channel tier', before.channelTiers, after.channelTiers);
+    return drift;
+}
+
+function diffRoles(drift, label, before, after) {
+    for (const roleId of new Set([...before.keys(), ...after.keys()])) {
+        const delta = (after.get(roleId) || 0) - (before.get(roleId) || 0);
+        if (delta !== 0) drift[`${label} ${roleId}`] = delta;
+    }
+}
+
+// Keep per-guild counts from guildMemberAdd/Remove/Update and call onCountsChanged(guild)
+// shortly after they change. Members must arrive in guildMemberUpdate even when they
+// aren't cached, so the client needs Partials.GuildMember.
+function setupMemberCounts(client, { classifyMember, onCountsChanged, debugLog }) {
+    const trackers = new Map();
+    const changeTimers = new Map();
+
+    function getTracker(guildId) {
+        if (!trackers.has(guildId)) {
+            trackers.set(guildId, new MemberCountTracker(classifyMember));
+        }
+        return trackers.get(guildId);
+    }
+
+    function countsChanged(guild) {
+        if (!getTracker(guild.id).ready || changeTimers.has(guild.id)) return;
+        changeTimers.set(guild.id, setTimeout(() => {
+            changeTimers.delete(guild.id);
+            const current = client.guilds.cache.get(guild.id);
+            if (current) onCountsChanged(current);
+        }, CHANGE_DELAY_MS));
+    }
+
+    // Refetch every member and rebuild the counts, logging any drift from the running ones
+    async function reconcile(guild) {
+        const tracker = getTracker(guild.id);
+        tracker.beginReconcile();
+        try {
+            // Other commands clear the shared member cache, so use the fetched collection itself
+            const members = await guild.members.fetch();
+            const drift = tracker.finishReconcile(members);
+            if (drift && Object.keys(drift).length > 0) {
+                debugLog(`Member counts for guild ${guild.name} had drifted, corrected by reconcile:`, drift);
+            } else {
+                debugLog(`Member counts for guild ${guild.name} reconciled`);
+            }
+            return tracker.getCounts();
+        } catch (error) {
+            tracker.cancelReconcile();
+            throw error;
+        } finally {
+            guild.members.cache.clear();
+        }
+    }
+
+    function forgetGuild(guildId) {
+        trackers.delete(guildId);
+        clearTimeout(changeTimers.get(guildId));
+        changeTimers.delete(guildId);
+    }
+
+    client.on('guildMemberAdd', member => {
+        if (getTracker(member.guild.id).apply(member)) countsChanged(member.guild);
+    });
+
+    client.on('guildMemberUpdate', (oldMember, newMember) => {
+        if (getTracker(newMember.guild.id).apply(newMember)) countsChanged(newMember.guild);
+    });
+
+    client.on('guildMemberRemove', member => {
+        if (getTracker(member.guild.id).remove(member.id)) countsChanged(member.guild);
+    });
+
+    return { getTracker, reconcile, forgetGuild };
+}
+
+module.exports = {
+    MemberCountTracker,
+    setupMemberCounts
+};
@@ -0,0 +1,447 @@
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { debugLog } = require('./utils');
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_DIR = 'data';
+const MESSAGE_BATCH_SIZE = 100;
+const RATE_LIMIT_DELAY = 250;
+const SAVE_INTERVAL_MS = 60 * 1000;
+// Bumped when the stored layout changes; older files are rebuilt from scratch
+const INDEX_VERSION = 2;
+
+// Snowflakes grow with time but exceed Number precision
+function isNewer(a, b) {
+    return !b || BigInt(a) > BigInt(b);
+}
+
+// Message categories reported separately in exports, in column order
+const CHANNEL_CATEGORIES = ['text', 'announcement', 'voice', 'thread', 'forum'];
+
+const THREAD_TYPES = [ChannelType.PublicThread, ChannelType.PrivateThread, ChannelType.AnnouncementThread];
+const THREAD_PARENT_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildMedia];
+const POST_PARENT_TYPES = [ChannelType.GuildForum, ChannelType.GuildMedia];
+
+// Category a message channel counts under, or null if it can't hold messages
+function getChannelCategory(channel) {
+    switch (channel.type) {
+        case ChannelType.GuildText: return 'text';
+        case ChannelType.GuildAnnouncement: return 'announcement';
+        case ChannelType.GuildVoice:
+        case ChannelType.GuildStageVoice: return 'voice';
+    }
+    if (THREAD_TYPES.includes(channel.type)) {
+        return POST_PARENT_TYPES.includes(channel.parent?.type) ? 'forum' : 'thread';
+    }
+    return null;
+}
+
+function isCountedChannel(channel) {
+    return getChannelCategory(channel) !== null;
+}
+
+// Channels whose threads (or forum posts) are indexed
+function isThreadParent(channel) {
+    return THREAD_PARENT_TYPES.includes(channel.type);
+}
+
+// Parent channel a thread or forum post rolls up into; other channels have none
+// (the parentId of a text or voice channel is its category)
+function getThreadParentId(channel) {
+    return THREAD_TYPES.includes(channel.type) ? channel.parentId || null : null;
+}
+
+// Thread parent of an indexed channel. Entries saved before only threads kept
+// a parentId may hold a category ID for normal channels, so check the category too
+function getIndexedParentId(state) {
+    return state.category === 'thread' || state.category === 'forum' ? state.parentId || null : null;
+}
+
+// Why the bot can't read a channel's history, or null if it can
+function getUnreadableReason(channel) {
+    const permissions = channel.permissionsFor(channel.guild.members.me);
+    if (!permissions || !permissions.has(PermissionFlagsBits.ViewChannel)) return 'Missing View Channel permission';
+    if (!permissions.has(PermissionFlagsBits.ReadMessageHistory)) return 'Missing Read Message History permission';
+    if (channel.type === ChannelType.PrivateThread && !channel.joined && !permissions.has(PermissionFlagsBits.ManageThreads)) {
+        return 'Private thread the bot has not joined';
+    }
+    return null;
+}
+
+// UTC day a message was sent, as YYYY-MM-DD
+function getMessageDay(message) {
+    return new Date(message.createdTimestamp).toISOString().split('T')[0];
+}
+
+// Per-guild message index, built in one pass over each channel and kept current
+// from live messages instead of rescanning history per member.
+// Counts are kept per author, channel and UTC day so exports can be scoped to a
+// date range or channel subset: activity[userId][channelId][day] = count.
+// Each channel tracks the newest and oldest message counted so far and its category;
+// a channel is complete once its history has been scanned back to the first message.
+class MessageCountIndex {
+    constructor(guildId) {
+        this.guildId = guildId;
+        this.filePath = path.join(INDEX_DIR, `message_index_${guildId}.json`);
+        this.activity = new Map();
+        this.channels = new Map();
+        this.loaded = false;
+        this.dirty = false;
+        this.saveTimer = null;
+        this.syncPromise = null;
+        // Live messages held back until their channel has caught up, applied once it has
+        this.pending = new Map();
+        // Channels that caught up on messages sent while the bot was offline, until the first sync is done
+        this.caughtUp = new Set();
+        this.synced = false;
+        // Channels the last sync couldn't read: channelId -> { name, category, reason }
+        this.skipped = new Map();
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (data.version !== INDEX_VERSION) {
+                debugLog(`Message index for guild ${this.guildId} uses an older format, rebuilding`);
+                return;
+            }
+            this.activity = new Map(Object.entries(data.activity || {}));
+            this.channels = new Map(Object.entries(data.channels || {}));
+            debugLog(`Message index loaded for guild ${this.guildId}: ${this.activity.size} authors, ${this.channels.size} channels`);
+        } catch (e) {
+            debugLog(`No message index found for guild ${this.guildId}, starting fresh`);
+        }
+    }
+
+    async save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const data = {
+            version: INDEX_VERSION,
+            activity: Object.fromEntries(this.activity),
+            channels: Object.fromEntries(this.channels)
+        };
+        try {
+            await fs.promises.mkdir(INDEX_DIR, { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(data));
+            await fs.promises.rename(tempPath, this.filePath);
+        } catch (error) {
+            this.dirty = true;
+            debugLog('Error saving message index:', error);
+        }
+    }
+
+    // Batch frequent live updates into one write per interval
+    scheduleSave() {
+        this.dirty = true;
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), SAVE_INTERVAL_MS);
+        }
+    }
+
+    getCount(userId) {
+        return this.getStats(userId).messageCount;
+    }
+
+    // Message statistics for one member, optionally limited to a day range
+    // (YYYY-MM-DD, both inclusive) and a set of channel IDs; a thread parent ID
+    // also matches every thread or forum post under it
+    getStats(userId, { since = null, until = null, channelIds = null } = {}) {
+        this.load();
+        const stats = {
+            messageCount: 0,
+            firstMessageDate: null,
+            lastMessageDate: null,
+            activeDays: 0,
+            byCategory: Object.fromEntries(CHANNEL_CATEGORIES.map(category => [category, 0]))
+        };
+        const byChannel = this.activity.get(userId);
+        if (!byChannel) return stats;
+
+        const days = new Set();
+        for (const [channelId, byDay] of Object.entries(byChannel)) {
+            const state = this.channels.get(channelId) || {};
+            if (channelIds && !channelIds.includes(channelId) && !channelIds.includes(getIndexedParentId(state))) continue;
+            // Channels indexed before categories were tracked were all text channels
+            const category = state.category || 'text';
+            for (const [day, count] of Object.entries(byDay)) {
+                if ((since && day < since) || (until && day > until)) continue;
+                stats.messageCount += count;
+                stats.byCategory[category] += count;
+                days.add(day);
+            }
+        }
+
+        const sortedDays = Array.from(days).sort();
+        stats.activeDays = sortedDays.length;
+        stats.firstMessageDate = sortedDays[0] || null;
+        stats.lastMessageDate = sortedDays[sortedDays.length - 1] || null;
+        return stats;
+    }
+
+    // Per-channel message counts by author, with threads and forum posts rolled up into
+    // their parent channel; same filters as getStats.
+    // Returns Map<channelId, { authors: Map<userId, count>, lastMessageDate }>
+    getChannelActivity({ since = null, until = null, channelIds = null } = {}) {
+        this.load();
+        const activity = new Map();
+        for (const [userId, byChannel] of this.activity) {
+            for (const [channelId, byDay] of Object.entries(byChannel)) {
+                const state = this.channels.get(channelId) || {};
+                const parentId = getIndexedParentId(state);
+                if (channelIds && !channelIds.includes(channelId) && !channelIds.includes(parentId)) continue;
+
+                const key = parentId || channelId;
+                for (const [day, count] of Object.entries(byDay)) {
+                    if ((since && day < since) || (until && day > until)) continue;
+                    if (!activity.has(key)) activity.set(key, { authors: new Map(), lastMessageDate: null });
+                    const entry = activity.get(key);
+                    entry.authors.set(userId, (entry.authors.get(userId) || 0) + count);
+                    if (!entry.lastMessageDate || day > entry.lastMessageDate) entry.lastMessageDate = day;
+                }
+            }
+        }
+        return activity;
+    }
+
+    addMessages(messages) {
+        for (const message of messages) {
+            const authorId = message.author.id;
+            if (!this.activity.has(authorId)) this.activity.set(authorId, {});
+            const byChannel = this.activity.get(authorId);
+            const byDay = byChannel[message.channelId] || (byChannel[message.channelId] = {});
+            const day = getMessageDay(message);
+            byDay[day] = (byDay[day] || 0) + 1;
+        }
+    }
+
+    // Count a message received over the gateway
+    recordMessage(message) {
+        this.load();
+        const channelId = message.channelId;
+        const state = this.channels.get(channelId);
+        // Until an indexed channel has caught up, a live message would move newestId past the
+        // messages the catch-up still has to fetch, so it waits along with those seen during a sync
+        if (this.pending.has(channelId) || (state && !this.synced && !this.caughtUp.has(channelId))) {
+            if (!this.pending.has(channelId)) this.pending.set(channelId, []);
+            this.pending.get(channelId).push(message);
+            return;
+        }
+
+        if (state && !isNewer(message.id, state.newestId)) return;
+
+        this.addMessages([message]);
+        this.channels.set(channelId, {
+            newestId: message.id,
+            oldestId: state ? state.oldestId : message.id,
+            complete: state ? state.complete : false,
+            category: getChannelCategory(message.channel),
+            parentId: getThreadParentId(message.channel)
+        });
+        this.scheduleSave();
+    }
+
+    // Fetch a page of messages and count those not yet in the index
+    async fetchPage(channel, query, onFetched) {
+        await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
+        const messages = await channel.messages.fetch({ limit: MESSAGE_BATCH_SIZE, cache: false, ...query });
+        if (onFetched) onFetched(messages.size);
+        return Array.from(messages.values());
+    }
+
+    async syncChannel(channel, onFetched) {
+        const saved = this.channels.get(channel.id);
+        const state = {
+            newestId: null,
+            oldestId: null,
+            complete: false,
+            ...saved,
+            category: getChannelCategory(channel),
+            parentId: getThreadParentId(channel)
+        };
+        if (!saved || saved.category !== state.category || saved.parentId !== state.parentId) {
+            this.channels.set(channel.id, { ...state });
+            this.dirty = true;
+        }
+
+        // Nothing new since the last sync, e.g. an archived thread
+        if (state.complete && state.newestId && channel.lastMessageId && !isNewer(channel.lastMessageId, state.newestId)) {
+            this.finishCatchUp(channel.id);
+            return;
+        }
+
+        if (!this.pending.has(channel.id)) this.pending.set(channel.id, []);
+
+        try {
+            // Catch up on messages sent while the bot was offline
+            if (state.newestId) {
+                while (true) {
+                    const messages = await this.fetchPage(channel, { after: state.newestId }, onFetched);
+                    if (messages.length === 0) break;
+                    this.addMessages(messages);
+                    for (const message of messages) {
+                        if (isNewer(message.id, state.newestId)) state.newestId = message.id;
+                    }
+                    this.channels.set(channel.id, { ...state });
+                    this.dirty = true;
+                    if (messages.length < MESSAGE_BATCH_SIZE) break;
+                }
+            }
+
+            // Scan older history until the start of the channel
+            while (!state.complete) {
+                const messages = await this.fetchPage(channel, state.oldestId ? { before: state.oldestId } : {}, onFetched);
+                this.addMessages(messages);
+                for (const message of messages) {
+                    if (isNewer(message.id, state.newestId)) state.newestId = message.id;
+                    if (!state.oldestId || isNewer(state.oldestId, message.id)) state.oldestId = message.id;
+                }
+                if (messages.length < MESSAGE_BATCH_SIZE) state.complete = true;
+                this.channels.set(channel.id, { ...state });
+                this.dirty = true;
+            }
+        } finally {
+            this.finishCatchUp(channel.id);
+        }
+    }
+
+    // Count the live messages held back for a channel; already fetched ones are skipped by newestId
+    finishCatchUp(channelId) {
+        this.caughtUp.add(channelId);
+        const pending = this.pending.get(channelId) || [];
+        this.pending.delete(channelId);
+        for (const message of pending) {
+            this.recordMessage(message);
+        }
+    }
+
+    // Every channel to index: text, announcement and voice channels plus active and archived threads
+    async collectChannels(guild) {
+        const channels = new Map();
+        for (const channel of guild.channels.cache.values()) {
+            if (isCountedChannel(channel)) channels.set(channel.id, channel);
+        }
+
+        try {
+            const { threads } = await guild.channels.fetchActiveThreads();
+            threads.forEach(thread => channels.set(thread.id, thread));
+        } catch (error) {
+            debugLog(`Error fetching active threads in ${guild.name}:`, error);
+        }
+
+        for (const parent of guild.channels.cache.filter(isThreadParent).values()) {
+            const permissions = parent.permissionsFor(guild.members.me);
+            if (!permissions || !permissions.has(PermissionFlagsBits.ReadMessageHistory)) continue;
+
+            // Forums have no private posts; other private threads need Manage Threads unless the bot joined them
+            const types = POST_PARENT_TYPES.includes(parent.type) ? ['public'] : ['public', 'private'];
+            for (const type of types) {
+                try {
+                    const fetchAll = type === 'public' || permissions.has(PermissionFlagsBits.ManageThreads);
+                    let before;
+                    while (true) {
+                        const { threads, hasMore } = await parent.threads.fetchArchived({ type, fetchAll, before, limit: 100 });
+                        threads.forEach(thread => channels.set(thread.id, thread));
+                        if (!hasMore || threads.size === 0) break;
+                        before = threads.last();
+                    }
+                } catch (error) {
+                    this.skipped.set(parent.id, {
+                        name: parent.name,
+                        category: 'thread',
+                        reason: `Could not list archived ${type} threads: ${error.message}`
+                    });
+                }
+            }
+        }
+
+        return Array.from(channels.values());
+    }
+
+    // Bring every readable channel up to date; concurrent calls share one pass
+    sync(guild, onFetched = null) {
+        if (!this.syncPromise) {
+            this.syncPromise = this.runSync(guild, onFetched).finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    }
+
+    async runSync(guild, onFetched) {
+        this.load();
+        this.skipped = new Map();
+        try {
+            const channels = await this.collectChannels(guild);
+            debugLog(`Syncing message index for ${guild.name}: ${channels.length} channels`);
+
+            for (const channel of channels) {
+                const skip = reason => {
+                    this.skipped.set(channel.id, { name: channel.name, category: getChannelCategory(channel), reason });
+                    debugLog(`Skipping channel ${channel.name}: ${reason}`);
+                };
+
+                const reason = getUnreadableReason(channel);
+                if (reason) {
+                    skip(reason);
+                    continue;
+                }
+
+                try {
+                    await this.syncChannel(channel, onFetched);
+                } catch (error) {
+                    skip(error.message);
+                }
+                await this.save();
+            }
+        } finally {
+            // Channels the sync couldn't catch up (unreadable or not listed) count live messages from here on
+            this.synced = true;
+            for (const channelId of [...this.pending.keys()]) {
+                this.finishCatchUp(channelId);
+            }
+        }
+
+        debugLog(`Message index synced for ${guild.name}: ${this.activity.size} authors`);
+    }
+}
+
+const indexes = new Map();
+
+function getMessageCountIndex(guildId) {
+    if (!indexes.has(guildId)) {
+        indexes.set(guildId, new MessageCountIndex(guildId));
+    }
+    return indexes.get(guildId);
+}
+
+function setupMessageCountIndex(client) {
+    // Build or catch up every guild's index in the background
+    client.once('ready', async () => {
+        for (const guild of client.guilds.cache.values()) {
+            await getMessageCountIndex(guild.id).sync(guild);
+        }
+    });
+
+    client.on('messageCreate', message => {
+        if (!message.inGuild() || !isCountedChannel(message.channel)) return;
+        getMessageCountIndex(message.guild.id).recordMessage(message);
+    });
+}
+
+module.exports = {
+    CHANNEL_CATEGORIES,
+    MessageCountIndex,
+    isCountedChannel,
+    isThreadParent,
+    getMessageCountIndex,
+    setupMessageCountIndex
+};
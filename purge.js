@@ -1,8 +1,115 @@
-const { EmbedBuilder } = require('discord.js');
+const {
+    EmbedBuilder,
+    AttachmentBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { cleanCSVString, parseDuration } = require('./utils');
+const { LEDGER_ACTIONS, PurgeLedger, buildLedgerCSV } = require('./purgeLedger');
+const { requestApproval, requestConfirmation } = require('./approvals');
+const fs = require('fs');
+const path = require('path');
+
+const PURGE_TYPES = ['noroles', 'unverified'];
+const BATCH_INTERVAL_MS = 3600000; // 1 hour between batches
+const PURGE_STATE_FILE = path.join('data', 'purge_operations.json');
+const DEFAULT_GRACE_MS = 24 * 60 * 60 * 1000; // 24 hours
+const CONFIRM_TIMEOUT_MS = 2 * 60 * 1000;
+const DEFAULT_WARNING_TEMPLATE = 'Hi {user}, you will be removed from **{server}** on {deadline} because {reason}. {instructions}';
+const DEFAULT_VERIFICATION_INSTRUCTIONS = 'Please complete verification before then to keep your access.';
+
+// Whether a member currently meets the purge type and criteria
+function isPurgeCandidate(member, type, verifiedRoleId, criteria, now) {
+    // Basic filters
+    if (member.user.bot) return false;
+    if (!member.joinedAt || member.joinedAt > new Date(now - criteria.graceMs)) return false;
+    if (criteria.minAccountAgeMs && member.user.createdAt > new Date(now - criteria.minAccountAgeMs)) return false;
+    if (member.roles.cache.some(role => criteria.exemptRoleIds.includes(role.id))) return false;
+
+    // Type-specific filters
+    if (type === 'noroles') {
+        return member.roles.cache.size === 1; // Only @everyone role
+    } else {
+        return !member.roles.cache.has(verifiedRoleId);
+    }
+}
+
+// Members eligible for a purge of the given type, oldest join first
+function selectPurgeCandidates(members, type, verifiedRoleId, criteria, now) {
+    return members
+        .filter(member => isPurgeCandidate(member, type, verifiedRoleId, criteria, now))
+        .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
+}
+
+// Resolve exempt role arguments (mentions, IDs or names) to role IDs
+function resolveExemptRoles(guild, value) {
+    return value.split(',').filter(Boolean).map(entry => {
+        const id = entry.replace(/^<@&(\d+)>$/, '$1').replace(/^@/, '');
+        if (guild.roles.cache.has(id)) return id;
+
+        const role = guild.roles.cache.find(r => r.name.toLowerCase() === id.toLowerCase());
+        if (!role) throw new Error(`Unknown exempt role \`${entry}\`.`);
+        return role.id;
+    });
+}
+
+// Build purge criteria from raw options; IGNORED_ROLE members are always exempt
+// Throws an Error with a user-facing message when an option is invalid
+function buildPurgeCriteria(guild, ignoredRoleIds, { grace, minAccountAge, exempt } = {}) {
+    const graceMs = grace !== undefined ? parseDuration(grace) : DEFAULT_GRACE_MS;
+    if (graceMs === null) throw new Error('Invalid grace. Use a duration like 72h or 3d.');
+
+    const minAccountAgeMs = minAccountAge !== undefined ? parseDuration(minAccountAge) : 0;
+    if (minAccountAgeMs === null) throw new Error('Invalid minAccountAge. Use a duration like 30d.');
+
+    const exemptRoleIds = exempt ? resolveExemptRoles(guild, exempt) : [];
+
+    return {
+        graceMs,
+        minAccountAgeMs,
+        exemptRoleIds: [...new Set([...exemptRoleIds, ...ignoredRoleIds])]
+    };
+}
+
+// Format a criteria duration in the largest whole unit
+function formatCriteriaDuration(ms) {
+    const units = [['d', 86400000], ['h', 3600000], ['m', 60000]];
+    const [unit, size] = units.find(([, size]) => ms % size === 0) || units[units.length - 1];
+    return `${Math.round(ms / size)}${unit}`;
+}
+
+// Fill the purge warning DM template placeholders
+function renderWarningMessage(template, { member, guild, type, deadline, instructions }) {
+    const values = {
+        user: member.user.username,
+        server: guild.name,
+        deadline: `<t:${Math.floor(deadline / 1000)}:F>`,
+        reason: type === 'noroles' ? 'you have no roles' : 'your account is not verified',
+        instructions
+    };
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => key in values ? values[key] : placeholder);
+}
+
+function describeCriteria(criteria) {
+    let text = `Only affecting users who joined >${formatCriteriaDuration(criteria.graceMs)} ago`;
+    if (criteria.minAccountAgeMs) {
+        text += ` with accounts older than ${formatCriteriaDuration(criteria.minAccountAgeMs)}`;
+    }
+    if (criteria.exemptRoleIds.length > 0) {
+        text += `, ${criteria.exemptRoleIds.length} exempt role(s)`;
+    }
+    return text;
+}
 
 class PurgeManager {
-    constructor() {
+    constructor({ debugLog, stateFile = PURGE_STATE_FILE }) {
+        this.debugLog = debugLog;
         this.activeOperations = new Map();
+        this.stateFile = stateFile;
     }
 
     getOperation(guildId, type) {
@@ -13,11 +120,34 @@ class PurgeManager {
     setOperation(guildId, type, operation) {
         const key = `${guildId}-${type}`;
         this.activeOperations.set(key, operation);
+        operation.onStateChange = () => this.save();
     }
 
     deleteOperation(guildId, type) {
         const key = `${guildId}-${type}`;
         this.activeOperations.delete(key);
+        this.save();
+    }
+
+    // Persist running operations so they can be resumed after a restart
+    save() {
+        const operations = Array.from(this.activeOperations.values())
+            .filter(operation => operation.isRunning)
+            .map(operation => operation.toJSON());
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            fs.writeFileSync(this.stateFile, JSON.stringify(operations, null, 2));
+        } catch (error) {
+            this.debugLog('Failed to save purge operations:', error);
+        }
+    }
+
+    loadSavedOperations() {
+        try {
+            return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        } catch (e) {
+            return [];
+        }
     }
 }
 
@@ -29,40 +159,164 @@ class PurgeOperation {
         this.rate = rate;
         this.debugLog = debugLog;
         this.isRunning = false;
+        // A paused operation stays running (and saved) but runs no batches until it is resumed
+        this.isPaused = false;
         this.startTime = null;
         this.processedCount = 0;
         this.skippedCount = 0;
         this.intervalId = null;
+        this.timeoutId = null;
+        this.verifiedRoleId = null;
+        this.criteria = null;
+        this.channelId = null;
+        this.nextRunTime = null;
+        this.onStateChange = null;
+        this.lastControl = null;
+        this.ledger = null;
+        this.config = null;
+        // Warning phase: memberId -> kick deadline (ms) for members who were sent a DM
+        this.warnMs = 0;
+        this.warnings = new Map();
+        this.warnedCount = 0;
+        this.dmFailedCount = 0;
+        // Join times of the members still eligible after the last batch, oldest first
+        this.queuedJoinTimes = null;
     }
 
-    async start(verifiedRoleId) {
+    async start(verifiedRoleId, criteria, channelId, warnMs = 0) {
         if (this.isRunning) {
             return false;
         }
 
         this.isRunning = true;
+        this.isPaused = false;
         this.startTime = new Date();
         this.processedCount = 0;
         this.skippedCount = 0;
+        this.verifiedRoleId = verifiedRoleId;
+        this.criteria = criteria;
+        this.channelId = channelId;
+        this.warnMs = warnMs;
+        this.warnings = new Map();
+        this.warnedCount = 0;
+        this.dmFailedCount = 0;
 
         this.log('START', {
             rate: this.rate,
             type: this.type,
-            startTime: this.formatUTCDate(this.startTime)
+            startTime: this.formatUTCDate(this.startTime),
+            criteria: describeCriteria(this.criteria),
+            warnHours: this.warnMs / 3600000
         });
 
         // Start hourly processing
-        this.intervalId = setInterval(() => this.processBatch(verifiedRoleId), 3600000);
-        // Run first batch immediately
-        await this.processBatch(verifiedRoleId);
+        this.intervalId = setInterval(() => this.runBatch(), BATCH_INTERVAL_MS);
+        // Run first batch immediately; it isn't awaited so the caller can post the controls
+        // (pause, stop) while it runs, and runBatch logs its own errors
+        this.runBatch();
+        return true;
+    }
+
+    // Continue a saved operation, running the next batch when it was due
+    resume(state) {
+        if (this.isRunning) {
+            return false;
+        }
+
+        this.isRunning = true;
+        this.startTime = new Date(state.startTime);
+        this.processedCount = state.processedCount || 0;
+        this.skippedCount = state.skippedCount || 0;
+        this.verifiedRoleId = state.verifiedRoleId;
+        // Operations saved before criteria existed used the fixed 24h cutoff
+        this.criteria = state.criteria || { graceMs: DEFAULT_GRACE_MS, minAccountAgeMs: 0, exemptRoleIds: [] };
+        this.channelId = state.channelId;
+        this.warnMs = state.warnMs || 0;
+        this.warnings = new Map(Object.entries(state.warnings || {}));
+        this.warnedCount = state.warnedCount || 0;
+        this.dmFailedCount = state.dmFailedCount || 0;
+        this.isPaused = Boolean(state.paused);
+
+        const delay = Math.max(0, Date.parse(state.nextRunTime) - Date.now()) || 0;
+        this.nextRunTime = new Date(Date.now() + delay);
+
+        this.log('RESUME', {
+            rate: this.rate,
+            type: this.type,
+            processedTotal: this.processedCount,
+            nextRunTime: this.isPaused ? 'paused' : this.formatUTCDate(this.nextRunTime)
+        });
+
+        if (!this.isPaused) this.scheduleBatches(delay);
+        return true;
+    }
+
+    // Run the next batch after delay, then every hour
+    scheduleBatches(delay) {
+        this.nextRunTime = new Date(Date.now() + delay);
+        this.timeoutId = setTimeout(() => {
+            this.intervalId = setInterval(() => this.runBatch(), BATCH_INTERVAL_MS);
+            this.runBatch();
+        }, delay);
+    }
+
+    // Stop running batches (including the rest of the current one) until unpause()
+    pause() {
+        if (!this.isRunning || this.isPaused) {
+            return false;
+        }
+
+        clearTimeout(this.timeoutId);
+        clearInterval(this.intervalId);
+        this.isPaused = true;
+        this.onStateChange?.();
+        return true;
+    }
+
+    // Continue a paused operation; a batch that came due while paused runs straight away
+    unpause() {
+        if (!this.isRunning || !this.isPaused) {
+            return false;
+        }
+
+        this.isPaused = false;
+        this.scheduleBatches(Math.max(0, this.nextRunTime - Date.now()));
+        this.onStateChange?.();
         return true;
     }
 
+    // Members per hour from the next batch on
+    setRate(rate) {
+        this.rate = rate;
+        this.onStateChange?.();
+    }
+
+    // Ledger entry for a pause, resume, rate change, start or stop by a member
+    logControl(user, reason) {
+        this.lastControl = { reason, userId: user.id, at: Date.now() };
+        this.log('CONTROL', { userId: user.id, username: user.username, reason });
+    }
+
+    // Batches run from timers without a caller to report to, so errors end up in the ledger
+    async runBatch() {
+        if (this.isPaused) return;
+        this.nextRunTime = new Date(Date.now() + BATCH_INTERVAL_MS);
+        this.onStateChange?.();
+        try {
+            await this.processBatch(this.verifiedRoleId);
+        } catch (error) {
+            this.log('ERROR', { reason: `Batch failed: ${error.message}` });
+        }
+        // Save updated counts unless the operation was stopped mid-batch
+        if (this.isRunning) this.onStateChange?.();
+    }
+
     stop() {
         if (!this.isRunning) {
             return false;
         }
 
+        clearTimeout(this.timeoutId);
         clearInterval(this.intervalId);
         this.isRunning = false;
         
@@ -89,37 +343,41 @@ class PurgeOperation {
         }
 
         const now = new Date();
-        const cutoffDate = new Date(now - 24 * 60 * 60 * 1000); // 24 hours ago
+        const cutoffDate = new Date(now - this.criteria.graceMs);
 
-        const members = guild.members.cache
-            .filter(member => {
-                // Basic filters
-                if (member.user.bot) return false;
-                if (!member.joinedAt || member.joinedAt > cutoffDate) return false;
+        const candidates = selectPurgeCandidates(guild.members.cache, this.type, verifiedRoleId, this.criteria, now);
+        const batchSummary = { kicked: 0, skipped: 0, errors: 0, warned: 0, dmFailed: 0 };
 
-                // Type-specific filters
-                if (this.type === 'noroles') {
-                    return member.roles.cache.size === 1; // Only @everyone role
-                } else {
-                    return !member.roles.cache.has(verifiedRoleId);
-                }
-            })
-            .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp)
-            .first(this.rate);
+        let members;
+        if (this.warnMs) {
+            // Forget warnings for members who are no longer eligible (e.g. verified or left)
+            for (const memberId of this.warnings.keys()) {
+                if (!candidates.has(memberId)) this.warnings.delete(memberId);
+            }
+            // Only kick warned members whose deadline has passed
+            members = candidates
+                .filter(member => this.warnings.has(member.id) && this.warnings.get(member.id) <= now.getTime())
+                .first(this.rate);
+        } else {
+            members = candidates.first(this.rate);
+        }
 
         for (const member of members) {
+            // Stopping or pausing takes effect between kicks
+            if (!this.isRunning || this.isPaused) break;
+
             try {
                 // Recheck conditions before kicking
-                const shouldKick = this.type === 'noroles' ?
-                    member.roles.cache.size === 1 :
-                    !member.roles.cache.has(verifiedRoleId);
+                const shouldKick = isPurgeCandidate(member, this.type, verifiedRoleId, this.criteria, Date.now());
 
-                if (shouldKick && member.joinedAt < cutoffDate) {
+                if (shouldKick) {
                     const timeInServer = Math.floor((now - member.joinedAt) / (60 * 60 * 1000));
                     const reason = `Automated purge: ${this.type === 'noroles' ? 'No roles' : 'Not verified'} (joined ${timeInServer}h ago)`;
 
                     await member.kick(reason);
                     this.processedCount++;
+                    batchSummary.kicked++;
+                    this.warnings.delete(member.id);
 
                     this.log('KICK', {
                         userId: member.id,
@@ -130,8 +388,10 @@ class PurgeOperation {
                     });
                 } else {
                     this.skippedCount++;
+                    batchSummary.skipped++;
+                    this.warnings.delete(member.id);
                     const skipReason = member.joinedAt > cutoffDate ? 
-                        'Joined less than 24h ago' : 
+                        `Joined less than ${formatCriteriaDuration(this.criteria.graceMs)} ago` : 
                         'Conditions no longer met';
                     
                     this.log('SKIP', {
@@ -142,6 +402,7 @@ class PurgeOperation {
                     });
                 }
             } catch (error) {
+                batchSummary.errors++;
                 this.log('ERROR', {
                     userId: member.id,
                     username: member.user.username,
@@ -149,12 +410,95 @@ class PurgeOperation {
                 });
             }
 
+            candidates.delete(member.id);
+
             // Delay between kicks to prevent rate limiting
             await new Promise(resolve => setTimeout(resolve, 1000));
         }
 
+        if (this.warnMs && this.isRunning && !this.isPaused) {
+            await this.warnUpcoming(guild, candidates, batchSummary);
+        }
+
+        // Members still queued, so a member lookup can place someone in the queue without a full fetch
+        this.queuedJoinTimes = Array.from(candidates.values(), member => member.joinedTimestamp);
+
         // Release member cache after processing
         guild.members.cache.clear();
+
+        if (members.length > 0 || batchSummary.warned > 0) {
+            await this.postBatchSummary(guild, batchSummary);
+        }
+    }
+
+    // DM the members who will be in upcoming batches so they can react before the deadline
+    async warnUpcoming(guild, candidates, batchSummary) {
+        // Keep enough members warned to fill every batch within the warning window
+        const lookaheadBatches = Math.ceil(this.warnMs / BATCH_INTERVAL_MS) + 1;
+        const toWarn = candidates
+            .filter(member => !this.warnings.has(member.id))
+            .first(Math.max(0, this.rate * lookaheadBatches - this.warnings.size));
+
+        const template = this.config?.purgeWarningTemplate || DEFAULT_WARNING_TEMPLATE;
+        const instructions = this.config?.verificationInstructions || DEFAULT_VERIFICATION_INSTRUCTIONS;
+
+        for (const member of toWarn) {
+            const deadline = Date.now() + this.warnMs;
+            this.warnings.set(member.id, deadline);
+            this.warnedCount++;
+            batchSummary.warned++;
+
+            let delivered = true;
+            try {
+                await member.send(renderWarningMessage(template, { member, guild, type: this.type, deadline, instructions }));
+            } catch (error) {
+                // Closed DMs don't prevent the kick; they are tracked separately
+                delivered = false;
+                this.dmFailedCount++;
+                batchSummary.dmFailed++;
+            }
+
+            this.log('WARN', {
+                userId: member.id,
+                username: member.user.username,
+                joinDate: this.formatUTCDate(member.joinedAt),
+                reason: `Kick scheduled after ${this.formatUTCDate(new Date(deadline))}${delivered ? '' : ' (DM failed)'}`
+            });
+
+            // Delay between DMs to prevent rate limiting
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    // Send a per-batch summary embed to the configured audit channel
+    async postBatchSummary(guild, batchSummary) {
+        const auditChannelId = this.config?.purgeAuditChannelId;
+        const channel = auditChannelId && guild.channels.cache.get(auditChannelId);
+        if (!channel) return;
+
+        const embed = new EmbedBuilder()
+            .setColor(batchSummary.errors > 0 ? '#FFA500' : '#FF0000')
+            .setTitle(`${this.type} Purge Batch Summary`)
+            .addFields(
+                { name: 'Kicked', value: batchSummary.kicked.toString(), inline: true },
+                { name: 'Skipped', value: batchSummary.skipped.toString(), inline: true },
+                { name: 'Errors', value: batchSummary.errors.toString(), inline: true },
+                ...(this.warnMs ? [
+                    { name: 'Warned', value: batchSummary.warned.toString(), inline: true },
+                    { name: 'DM Failures', value: batchSummary.dmFailed.toString(), inline: true }
+                ] : []),
+                { name: 'Total Kicked', value: this.processedCount.toString(), inline: true },
+                { name: 'Total Skipped', value: this.skippedCount.toString(), inline: true },
+                { name: 'Next Batch', value: !this.isRunning ? 'Stopped' : this.isPaused ? 'Paused' : this.formatUTCDate(this.nextRunTime), inline: true }
+            )
+            .setFooter({ text: `${describeCriteria(this.criteria)}. Full details: !purge log ${this.type}` })
+            .setTimestamp();
+
+        try {
+            await channel.send({ embeds: [embed] });
+        } catch (error) {
+            this.debugLog('Failed to send purge batch summary:', error);
+        }
     }
 
     getStatus() {
@@ -165,9 +509,38 @@ class PurgeOperation {
         return {
             type: this.type,
             rate: this.rate,
+            paused: this.isPaused,
             runningTime: this.formatDuration(Date.now() - this.startTime),
             processedCount: this.processedCount,
-            skippedCount: this.skippedCount
+            skippedCount: this.skippedCount,
+            nextRunTime: this.nextRunTime ? this.formatUTCDate(this.nextRunTime) : 'Pending',
+            grace: formatCriteriaDuration(this.criteria.graceMs),
+            minAccountAge: this.criteria.minAccountAgeMs ? formatCriteriaDuration(this.criteria.minAccountAgeMs) : 'None',
+            exemptRoleIds: this.criteria.exemptRoleIds,
+            warning: this.warnMs ? formatCriteriaDuration(this.warnMs) : null,
+            pendingWarnings: this.warnings.size,
+            warnedCount: this.warnedCount,
+            dmFailedCount: this.dmFailedCount
+        };
+    }
+
+    toJSON() {
+        return {
+            guildId: this.guildId,
+            type: this.type,
+            rate: this.rate,
+            verifiedRoleId: this.verifiedRoleId,
+            criteria: this.criteria,
+            warnMs: this.warnMs,
+            warnings: Object.fromEntries(this.warnings),
+            warnedCount: this.warnedCount,
+            dmFailedCount: this.dmFailedCount,
+            paused: this.isPaused,
+            channelId: this.channelId,
+            startTime: this.startTime.toISOString(),
+            processedCount: this.processedCount,
+            skippedCount: this.skippedCount,
+            nextRunTime: this.nextRunTime ? this.nextRunTime.toISOString() : null
         };
     }
 
@@ -192,98 +565,640 @@ class PurgeOperation {
             ...data
         };
         this.debugLog(`PURGE: ${JSON.stringify(logEntry)}`);
+
+        // KICK/SKIP/ERROR/WARN entries are always kept in the ledger, regardless of DEBUG_MODE
+        if (this.ledger && LEDGER_ACTIONS.includes(action)) {
+            this.ledger.record({
+                timestamp: new Date().toISOString(),
+                type: this.type,
+                action,
+                ...data
+            });
+        }
     }
 }
 
-function setupPurgeCommands(client, { allowedChannels, allowedRoles, verifiedRoleId, debugLog }) {
-    const purgeManager = new PurgeManager();
+// Pause/Resume, Change rate and Stop buttons for a running purge; the custom IDs carry the type
+// so the buttons keep working on old messages and after a restart
+function buildControlRow(type, paused) {
+    return new ActionRowBuilder().addComponents(
+        paused ?
+            new ButtonBuilder().setCustomId(`purge:resume:${type}`).setLabel('Resume').setStyle(ButtonStyle.Success) :
+            new ButtonBuilder().setCustomId(`purge:pause:${type}`).setLabel('Pause').setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`purge:rate:${type}`).setLabel('Change rate').setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`purge:stop:${type}`).setLabel('Stop').setStyle(ButtonStyle.Danger)
+    );
+}
+
+function buildRateModal(type, rate) {
+    const input = new TextInputBuilder()
+        .setCustomId('rate')
+        .setLabel('Members per hour')
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setValue(String(rate));
+    return new ModalBuilder()
+        .setCustomId(`purge:rate:${type}`)
+        .setTitle(`Change ${type} purge rate`)
+        .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+// Status embed of a running purge with its control buttons
+function buildStatusMessage(operation) {
+    const status = operation.getStatus();
+    const lastControl = operation.lastControl;
+    const embed = new EmbedBuilder()
+        .setColor(status.paused ? '#FFA500' : '#FF0000')
+        .setTitle(`${status.type} Purge Status`)
+        .addFields(
+            { name: 'State', value: status.paused ? '⏸️ Paused' : '▶️ Running', inline: true },
+            { name: 'Running Time', value: status.runningTime, inline: true },
+            { name: 'Rate', value: `${status.rate}/hour`, inline: true },
+            { name: 'Processed', value: status.processedCount.toString(), inline: true },
+            { name: 'Skipped', value: status.skippedCount.toString(), inline: true },
+            { name: 'Next Batch', value: status.paused ? 'Paused' : status.nextRunTime, inline: true },
+            { name: 'Grace Period', value: status.grace, inline: true },
+            { name: 'Min Account Age', value: status.minAccountAge, inline: true },
+            ...(status.warning ? [
+                { name: 'Warning Period', value: status.warning, inline: true },
+                { name: 'Warned', value: `${status.warnedCount} (${status.pendingWarnings} pending)`, inline: true },
+                { name: 'DM Failures', value: status.dmFailedCount.toString(), inline: true }
+            ] : []),
+            {
+                name: 'Exempt Roles',
+                value: status.exemptRoleIds.length > 0 ? status.exemptRoleIds.map(id => `<@&${id}>`).join(', ') : 'None',
+                inline: false
+            },
+            ...(lastControl ? [{
+                name: 'Last Action',
+                value: `${lastControl.reason} by <@${lastControl.userId}> <t:${Math.floor(lastControl.at / 1000)}:R>`,
+                inline: false
+            }] : [])
+        )
+        .setFooter({ text: describeCriteria(operation.criteria) });
 
-    client.on('messageCreate', async message => {
-        if (!message.content.startsWith('!purge')) return;
+    return { embeds: [embed], components: [buildControlRow(status.type, status.paused)] };
+}
 
-        // Check channel permission
-        if (!allowedChannels.includes(message.channel.id)) {
-            debugLog('Purge command used in unauthorized channel');
+// Members a purge would currently kick, fetching the member list once
+async function countEligible(guild, type, verifiedRoleId, criteria) {
+    try {
+        await guild.members.fetch();
+        return selectPurgeCandidates(guild.members.cache, type, verifiedRoleId, criteria, new Date()).size;
+    } finally {
+        guild.members.cache.clear();
+    }
+}
+
+function setupPurgeCommands(client, { getGuildConfig, debugLog, commands }) {
+    const purgeManager = new PurgeManager({ debugLog });
+    const ledgers = new Map();
+
+    function getLedger(guildId) {
+        if (!ledgers.has(guildId)) {
+            ledgers.set(guildId, new PurgeLedger(guildId, debugLog));
+        }
+        return ledgers.get(guildId);
+    }
+
+    function createOperation(guildId, type, rate) {
+        const operation = new PurgeOperation(guildId, client, type, rate, debugLog);
+        operation.ledger = getLedger(guildId);
+        operation.config = getGuildConfig(guildId);
+        purgeManager.setOperation(guildId, type, operation);
+        return operation;
+    }
+
+    // Resume operations that were running before the last restart
+    async function restoreOperations() {
+        for (const state of purgeManager.loadSavedOperations()) {
+            const guild = client.guilds.cache.get(state.guildId);
+            if (!guild) {
+                debugLog(`Dropping saved ${state.type} purge for unavailable guild ${state.guildId}`);
+                continue;
+            }
+
+            const operation = createOperation(state.guildId, state.type, state.rate);
+            operation.resume(state);
+
+            const channel = guild.channels.cache.get(state.channelId) ||
+                guild.channels.cache.get(getGuildConfig(guild.id).allowedChannels[0]);
+            if (!channel) continue;
+
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle(`Resumed ${state.type} Purge Operation`)
+                .setDescription(`The purge was resumed after a bot restart.\n` +
+                    `Rate: ${state.rate} users/hour\n` +
+                    `Started at: ${operation.formatUTCDate(operation.startTime)}\n` +
+                    `Processed so far: ${operation.processedCount}\n` +
+                    `Next batch: ${operation.isPaused ? 'paused, resume it to continue' : operation.formatUTCDate(operation.nextRunTime)}`)
+                .setFooter({ text: describeCriteria(operation.criteria) });
+
+            try {
+                await channel.send({ embeds: [embed], components: [buildControlRow(state.type, operation.isPaused)] });
+            } catch (error) {
+                debugLog(`Failed to report resumed ${state.type} purge:`, error);
+            }
+        }
+
+        // Drop saved entries that were not resumed
+        purgeManager.save();
+    }
+
+    client.once('ready', restoreOperations);
+
+    // Validate raw criteria options, replying with the problem if they are invalid
+    async function resolveCriteria(ctx, options) {
+        try {
+            return buildPurgeCriteria(ctx.guild, getGuildConfig(ctx.guild.id).ignoredRoleIds, options);
+        } catch (error) {
+            await ctx.replyError(error.message);
+            return null;
+        }
+    }
+
+    // Parse the warning period option (0 when absent), replying if it is invalid
+    async function resolveWarning(ctx, warn) {
+        if (warn === undefined) return 0;
+        const warnMs = parseDuration(warn);
+        if (!warnMs) {
+            await ctx.replyError('Invalid warn. Use a duration like 12h.');
+            return null;
+        }
+        return warnMs;
+    }
+
+    // Start a purge operation for a message or slash command context
+    // options: { grace, minAccountAge, exempt, warn } as raw strings, all optional
+    async function startPurge(ctx, type, rate, options = {}) {
+        if (isNaN(rate) || rate <= 0) {
+            await ctx.replyError('Invalid rate. Please specify a positive number.');
+            return;
+        }
+
+        const criteria = await resolveCriteria(ctx, options);
+        if (!criteria) return;
+
+        const warnMs = await resolveWarning(ctx, options.warn);
+        if (warnMs === null) return;
+
+        const isRunning = () => purgeManager.getOperation(ctx.guild.id, type)?.isRunning;
+        if (isRunning()) {
+            await ctx.replyError(`A ${type} purge operation is already running.`);
             return;
         }
 
-        // Check role permission
-        const memberRoles = message.member.roles.cache.map(role => role.name);
-        if (!allowedRoles.some(role => memberRoles.includes(role))) {
-            debugLog('Purge command used by unauthorized user');
+        const config = getGuildConfig(ctx.guild.id);
+        const warningLine = warnMs ?
+            `\nWarning: members are sent a DM ${formatCriteriaDuration(warnMs)} before they are kicked` : '';
+
+        let eligible;
+        try {
+            eligible = await countEligible(ctx.guild, type, config.verifiedRoleId, criteria);
+        } catch (error) {
+            debugLog('Error counting purge candidates:', error);
+            await ctx.replyError('An error occurred while counting the eligible members.');
             return;
         }
 
-        const args = message.content.toLowerCase().split(' ');
+        // Confirmed by the requester, or approved by a second member when purgeApproval is on
+        const description = `**${eligible}** member(s) are eligible now` +
+            (eligible > 0 ? `, about ${Math.ceil(eligible / rate)} hourly batch(es)` : '') +
+            ` (members who become eligible later are purged too)\nRate: ${rate} users/hour${warningLine}\n${describeCriteria(criteria)}`;
+        const decision = config.purgeApproval ?
+            await requestApproval(ctx, {
+                title: `${type} purge`,
+                description,
+                timeoutMs: config.purgeApprovalMinutes * 60 * 1000,
+                canApprove: (member, channelId) => commands.checkAccess('purge', { guild: ctx.guild, member, channelId })
+            }) :
+            await requestConfirmation(ctx, { title: `Start ${type} purge?`, description, timeoutMs: CONFIRM_TIMEOUT_MS });
+        if (!decision.approved) {
+            debugLog(`${type} purge requested by ${ctx.user.tag} was ${decision.reason}`);
+            return;
+        }
+        // Another purge of this type may have been started while waiting
+        if (isRunning()) {
+            await ctx.send(`A ${type} purge operation is already running.`);
+            return;
+        }
 
-        // Handle status and stop commands
-        if (args[1] === 'status' || args[1] === 'stop') {
-            const type = args[2];
-            if (!type || !['noroles', 'unverified'].includes(type)) return;
+        const isApproval = decision.approver.id !== ctx.user.id;
+        const approvalLine = isApproval ? `\nRequested by ${ctx.user}, approved by ${decision.approver}` : '';
+        debugLog(`${type} purge requested by ${ctx.user.tag}${isApproval ? ` approved by ${decision.approver.tag}` : ''}`);
 
-            const operation = purgeManager.getOperation(message.guild.id, type);
+        const operation = createOperation(ctx.guild.id, type, rate);
+        operation.logControl(ctx.user, `Started at ${rate} users/hour with ${eligible} eligible` +
+            (isApproval ? `, approved by ${decision.approver.username}` : ''));
 
-            if (args[1] === 'stop') {
-                if (operation?.stop()) {
-                    purgeManager.deleteOperation(message.guild.id, type);
-                    await message.reply(`Stopped ${type} purge operation.`);
-                } else {
-                    await message.reply(`No ${type} purge operation is running.`);
-                }
+        if (await operation.start(config.verifiedRoleId, criteria, ctx.channel.id, warnMs)) {
+            const embed = new EmbedBuilder()
+                .setColor('#FF0000')
+                .setTitle(`Started ${type} Purge Operation`)
+                .setDescription(`Rate: ${rate} users/hour\nStarted at: ${operation.formatUTCDate(new Date())}${warningLine}${approvalLine}`)
+                .setFooter({ text: describeCriteria(criteria) });
+
+            await ctx.reply({ embeds: [embed], components: operation.isRunning ? [buildControlRow(type, operation.isPaused)] : [] });
+        }
+    }
+
+    // Preview which members a purge would kick in each hourly batch, without kicking
+    async function dryRunPurge(ctx, type, rate, batches, options = {}) {
+        if (rate !== undefined && (isNaN(rate) || rate <= 0)) {
+            await ctx.replyError('Invalid rate. Please specify a positive number.');
+            return;
+        }
+        if (batches !== undefined && (isNaN(batches) || batches <= 0)) {
+            await ctx.replyError('Invalid batches. Please specify a positive number.');
+            return;
+        }
+
+        const criteria = await resolveCriteria(ctx, options);
+        if (!criteria) return;
+
+        const warnMs = await resolveWarning(ctx, options.warn);
+        if (warnMs === null) return;
+
+        const guild = ctx.guild;
+        try {
+            const { verifiedRoleId } = getGuildConfig(guild.id);
+            await guild.members.fetch();
+
+            const now = new Date();
+            const candidates = Array.from(selectPurgeCandidates(guild.members.cache, type, verifiedRoleId, criteria, now).values());
+
+            if (candidates.length === 0) {
+                await ctx.reply(`No members currently eligible for a ${type} purge.`);
                 return;
             }
 
-            if (!operation?.isRunning) {
-                await message.reply(`No ${type} purge operation is running.`);
-                return;
+            // Without a rate, everything eligible would go in the first batch
+            const batchSize = rate || candidates.length;
+            const totalBatches = Math.ceil(candidates.length / batchSize);
+            const shownBatches = Math.min(batches || totalBatches, totalBatches);
+            // With a warning phase the first kicks happen at the first batch after the warning period
+            const firstKickTime = now.getTime() + Math.ceil(warnMs / BATCH_INTERVAL_MS) * BATCH_INTERVAL_MS;
+            const completionTime = new Date(firstKickTime + (totalBatches - 1) * BATCH_INTERVAL_MS);
+            const formatUTCDate = date => date.toISOString().replace('T', ' ').split('.')[0];
+
+            let csvContent = 'Batch,Scheduled Time (UTC),User ID,Username,Display Name,Join Date (UTC),Account Created (UTC),Hours In Server\n';
+            for (let i = 0; i < shownBatches; i++) {
+                const batchTime = formatUTCDate(new Date(firstKickTime + i * BATCH_INTERVAL_MS));
+                for (const member of candidates.slice(i * batchSize, (i + 1) * batchSize)) {
+                    const hoursInServer = Math.floor((now - member.joinedAt) / (60 * 60 * 1000));
+                    csvContent += [
+                        i + 1,
+                        batchTime,
+                        member.id,
+                        cleanCSVString(member.user.username),
+                        cleanCSVString(member.displayName),
+                        formatUTCDate(member.joinedAt),
+                        formatUTCDate(member.user.createdAt),
+                        hoursInServer
+                    ].join(',') + '\n';
+                }
             }
 
-            const status = operation.getStatus();
+            const attachment = new AttachmentBuilder(
+                Buffer.from(csvContent, 'utf-8'),
+                { name: `purge_dryrun_${type}_${now.toISOString().split('T')[0]}.csv` }
+            );
+
             const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle(`${type} Purge Status`)
+                .setColor('#FFA500')
+                .setTitle(`${type} Purge Dry Run`)
+                .setDescription('No members were kicked. The attached CSV lists who would be affected in each hourly batch.')
                 .addFields(
-                    { name: 'Running Time', value: status.runningTime, inline: true },
-                    { name: 'Rate', value: `${status.rate}/hour`, inline: true },
-                    { name: 'Processed', value: status.processedCount.toString(), inline: true },
-                    { name: 'Skipped', value: status.skippedCount.toString(), inline: true }
+                    { name: 'Eligible Now', value: candidates.length.toString(), inline: true },
+                    { name: 'Rate', value: rate ? `${rate}/hour` : 'All at once', inline: true },
+                    { name: 'Batches', value: `${shownBatches} of ${totalBatches} shown`, inline: true },
+                    { name: 'Projected Completion', value: `${formatUTCDate(completionTime)} UTC`, inline: false }
                 )
-                .setFooter({ text: 'Only affecting users who joined >24h ago' });
+                .setFooter({ text: `${describeCriteria(criteria)}. Members becoming eligible later are not included.` });
+
+            await ctx.reply({ embeds: [embed], files: [attachment] });
+            debugLog(`Purge dry run completed - ${candidates.length} ${type} candidates in ${totalBatches} batches`);
+        } catch (error) {
+            debugLog('Error in purge dry run:', error);
+            await ctx.replyError('An error occurred while running the purge dry run.');
+        } finally {
+            guild.members.cache.clear();
+        }
+    }
+
+    // Attach the kick ledger as CSV; since is a YYYY-MM-DD date or a duration like 7d
+    async function purgeLog(ctx, type, since) {
+        let sinceMs = 0;
+        if (since) {
+            const durationMs = parseDuration(since);
+            sinceMs = durationMs !== null ? Date.now() - durationMs : Date.parse(since);
+            if (isNaN(sinceMs)) {
+                await ctx.replyError('Invalid since. Use a date like 2024-01-31 or a duration like 7d.');
+                return;
+            }
+        }
+
+        try {
+            const entries = await getLedger(ctx.guild.id).load({ type, sinceMs });
+            if (entries.length === 0) {
+                await ctx.reply(`No ${type} purge ledger entries found${since ? ` since ${since}` : ''}.`);
+                return;
+            }
+
+            const counts = LEDGER_ACTIONS.map(action =>
+                `${action}: ${entries.filter(entry => entry.action === action).length}`).join(', ');
+            const attachment = new AttachmentBuilder(
+                Buffer.from(buildLedgerCSV(entries), 'utf-8'),
+                { name: `purge_ledger_${type}_${new Date().toISOString().split('T')[0]}.csv` }
+            );
 
-            await message.reply({ embeds: [embed] });
+            await ctx.reply({
+                content: `${type} purge ledger${since ? ` since ${since}` : ''} - ${entries.length} entries (${counts})`,
+                files: [attachment]
+            });
+        } catch (error) {
+            debugLog('Error in purge log command:', error);
+            await ctx.replyError('An error occurred while reading the purge ledger.');
+        }
+    }
+
+    // Report the status of a purge operation, with buttons to control it
+    async function purgeStatus(ctx, type) {
+        const operation = purgeManager.getOperation(ctx.guild.id, type);
+
+        if (!operation?.isRunning) {
+            await ctx.replyError(`No ${type} purge operation is running.`);
             return;
         }
 
-        // Handle start command
-        if (!['noroles', 'unverified'].includes(args[1]) || !args[2]?.startsWith('rate=')) return;
+        await ctx.reply(buildStatusMessage(operation));
+    }
 
-        const type = args[1];
-        const rate = parseInt(args[2].split('=')[1]);
-        
-        if (isNaN(rate) || rate <= 0) {
-            await message.reply('Invalid rate. Please specify a positive number.');
+    // Pause, resume, change the rate of (rate is the new members per hour) or stop the running purge
+    // of a type on behalf of user, recording it in the ledger. Returns the operation and a reply message;
+    // throws an Error with a user-facing message when the action doesn't apply.
+    function controlPurge(guildId, type, action, user, rate) {
+        const operation = purgeManager.getOperation(guildId, type);
+        if (!operation?.isRunning) {
+            throw new Error(`No ${type} purge operation is running.`);
+        }
+
+        let reason;
+        if (action === 'pause') {
+            if (!operation.pause()) throw new Error(`The ${type} purge is already paused.`);
+            reason = 'Paused';
+        } else if (action === 'resume') {
+            if (!operation.unpause()) throw new Error(`The ${type} purge is not paused.`);
+            reason = 'Resumed';
+        } else if (action === 'rate') {
+            if (isNaN(rate) || rate <= 0) throw new Error('Invalid rate. Please specify a positive number.');
+            reason = `Changed rate from ${operation.rate} to ${rate} users/hour`;
+            operation.setRate(rate);
+        } else {
+            operation.stop();
+            purgeManager.deleteOperation(guildId, type);
+            reason = 'Stopped';
+        }
+
+        operation.logControl(user, reason);
+        debugLog(`${type} purge: ${reason} by ${user.tag}`);
+        const message = action === 'rate' ? `${reason} for the ${type} purge operation.` : `${reason} ${type} purge operation.`;
+        return { operation, message };
+    }
+
+    async function runControl(ctx, type, action, rate) {
+        let message;
+        try {
+            ({ message } = controlPurge(ctx.guild.id, type, action, ctx.user, rate));
+        } catch (error) {
+            await ctx.replyError(error.message);
             return;
         }
+        await ctx.reply(message);
+    }
+
+    const stopPurge = (ctx, type) => runControl(ctx, type, 'stop');
+    const pausePurge = (ctx, type) => runControl(ctx, type, 'pause');
+    const resumePurge = (ctx, type) => runControl(ctx, type, 'resume');
+    const changePurgeRate = (ctx, type, rate) => runControl(ctx, type, 'rate', rate);
+
+    // Buttons on the started and status embeds, and the change rate modal.
+    // Each action needs the same permission as its command, e.g. Pause needs !purge pause.
+    client.on('interactionCreate', async interaction => {
+        if (!interaction.inGuild() || !(interaction.isButton() || interaction.isModalSubmit())) return;
+        const [prefix, action, type] = interaction.customId.split(':');
+        if (prefix !== 'purge' || !PURGE_TYPES.includes(type)) return;
 
-        const existingOperation = purgeManager.getOperation(message.guild.id, type);
-        if (existingOperation?.isRunning) {
-            await message.reply(`A ${type} purge operation is already running.`);
+        const denial = commands.checkAccess(`purge ${action}`, {
+            guild: interaction.guild,
+            member: interaction.member,
+            channelId: interaction.channelId
+        });
+
+        let operation;
+        let message;
+        try {
+            if (denial) throw new Error(denial);
+
+            if (interaction.isButton() && action === 'rate') {
+                operation = purgeManager.getOperation(interaction.guildId, type);
+                if (!operation?.isRunning) throw new Error(`No ${type} purge operation is running.`);
+            } else {
+                const rate = interaction.isModalSubmit() ? parseInt(interaction.fields.getTextInputValue('rate')) : undefined;
+                ({ operation, message } = controlPurge(interaction.guildId, type, action, interaction.user, rate));
+            }
+        } catch (error) {
+            await interaction.reply({ content: error.message, ephemeral: true }).catch(() => {});
             return;
         }
 
-        const operation = new PurgeOperation(message.guild.id, client, type, rate, debugLog);
-        purgeManager.setOperation(message.guild.id, type, operation);
+        try {
+            if (interaction.isButton() && action === 'rate') {
+                await interaction.showModal(buildRateModal(type, operation.rate));
+            } else if (action === 'stop') {
+                await interaction.update({ components: [] });
+                await interaction.followUp(`${message} (by ${interaction.user})`);
+            } else if (interaction.isButton() || interaction.isFromMessage()) {
+                // Refresh the embed the buttons are on
+                await interaction.update(buildStatusMessage(operation));
+            } else {
+                await interaction.reply(buildStatusMessage(operation));
+            }
+        } catch (error) {
+            debugLog(`Error answering purge ${action} button:`, error);
+        }
+    });
 
-        if (await operation.start(verifiedRoleId)) {
-            const embed = new EmbedBuilder()
-                .setColor('#FF0000')
-                .setTitle(`Started ${type} Purge Operation`)
-                .setDescription(`Rate: ${rate} users/hour\nStarted at: ${operation.formatUTCDate(new Date())}`)
-                .setFooter({ text: 'Only affecting users who joined >24h ago' });
+    // Where a member stands in each running purge of the guild, for !count member.
+    // Returns [{ type, paused, eligible, warnMs, warningDeadline, batchTime }]; batchTime is the
+    // expected kick batch (ms) for eligible members, following the oldest-join-first batch order
+    async function getMemberPurgeStatus(guild, member) {
+        const now = Date.now();
+        const statuses = [];
+        for (const type of PURGE_TYPES) {
+            const operation = purgeManager.getOperation(guild.id, type);
+            if (!operation?.isRunning) continue;
 
-            await message.reply({ embeds: [embed] });
+            const status = {
+                type,
+                paused: operation.isPaused,
+                eligible: isPurgeCandidate(member, type, operation.verifiedRoleId, operation.criteria, now),
+                warnMs: operation.warnMs,
+                warningDeadline: operation.warnings.get(member.id) || null,
+                batchTime: null
+            };
+            const nextRunTime = operation.nextRunTime.getTime();
+
+            if (status.warningDeadline) {
+                // Warned members go in the first batch after their deadline
+                const batchesUntilDeadline = Math.ceil(Math.max(0, status.warningDeadline - nextRunTime) / BATCH_INTERVAL_MS);
+                status.batchTime = nextRunTime + batchesUntilDeadline * BATCH_INTERVAL_MS;
+            } else if (status.eligible && !operation.warnMs && operation.queuedJoinTimes) {
+                // Members left in the queue by the last batch who joined earlier go first
+                const ahead = operation.queuedJoinTimes.filter(joinedTimestamp => joinedTimestamp < member.joinedTimestamp).length;
+                status.batchTime = nextRunTime + Math.floor(ahead / operation.rate) * BATCH_INTERVAL_MS;
+            }
+            statuses.push(status);
+        }
+        return statuses;
+    }
+
+    // Purge type from the first word after the command, or null after replying with the usage
+    async function getPurgeType(ctx, positional, usage) {
+        const type = (positional[0] || '').toLowerCase();
+        if (PURGE_TYPES.includes(type)) return type;
+        await ctx.replyError(`Usage: \`${usage}\` where type is ${PURGE_TYPES.join(' or ')}.`);
+        return null;
+    }
+
+    const purgeUsage = '!purge <type> rate=X [grace=D] [minAccountAge=D] [exempt=@Role,@Role] [warn=D]';
+    const dryRunUsage = '!purge <type> dryrun [rate=X] [batches=N] [criteria...]';
+    commands.register({
+        name: 'purge',
+        usage: `${purgeUsage} or ${dryRunUsage}`,
+        description: 'Start an automated purge (X members per hour), or preview one with dryrun',
+        positional: 2,
+        run: async (ctx, options, positional) => {
+            const isDryRun = (positional[1] || '').toLowerCase() === 'dryrun';
+            const type = await getPurgeType(ctx, positional, isDryRun ? dryRunUsage : purgeUsage);
+            if (!type) return;
+            if (positional[1] && !isDryRun) {
+                await ctx.replyError(`Usage: \`${purgeUsage}\` or \`${dryRunUsage}\``);
+                return;
+            }
+
+            // Option keys are lowercased by the parser
+            const criteriaOptions = {
+                grace: options.grace,
+                minAccountAge: options.minaccountage,
+                exempt: options.exempt,
+                warn: options.warn
+            };
+
+            // Handle dry run command
+            if (isDryRun) {
+                await dryRunPurge(
+                    ctx,
+                    type,
+                    options.rate !== undefined ? parseInt(options.rate) : undefined,
+                    options.batches !== undefined ? parseInt(options.batches) : undefined,
+                    criteriaOptions
+                );
+                return;
+            }
+
+            // Handle start command
+            if (options.rate === undefined) {
+                await ctx.replyError(`Usage: \`${purgeUsage}\``);
+                return;
+            }
+            await startPurge(ctx, type, parseInt(options.rate), criteriaOptions);
+        }
+    });
+
+    commands.register({
+        name: 'purge status',
+        usage: '!purge status <type>',
+        description: 'Check the status of a purge operation',
+        positional: 1,
+        run: async (ctx, options, positional) => {
+            const type = await getPurgeType(ctx, positional, '!purge status <type>');
+            if (type) await purgeStatus(ctx, type);
+        }
+    });
+
+    commands.register({
+        name: 'purge stop',
+        usage: '!purge stop <type>',
+        description: 'Stop a purge operation',
+        positional: 1,
+        run: async (ctx, options, positional) => {
+            const type = await getPurgeType(ctx, positional, '!purge stop <type>');
+            if (type) await stopPurge(ctx, type);
         }
     });
+
+    commands.register({
+        name: 'purge pause',
+        usage: '!purge pause <type>',
+        description: 'Pause a purge operation, including the rest of the current batch',
+        positional: 1,
+        run: async (ctx, options, positional) => {
+            const type = await getPurgeType(ctx, positional, '!purge pause <type>');
+            if (type) await pausePurge(ctx, type);
+        }
+    });
+
+    commands.register({
+        name: 'purge resume',
+        usage: '!purge resume <type>',
+        description: 'Resume a paused purge operation',
+        positional: 1,
+        run: async (ctx, options, positional) => {
+            const type = await getPurgeType(ctx, positional, '!purge resume <type>');
+            if (type) await resumePurge(ctx, type);
+        }
+    });
+
+    commands.register({
+        name: 'purge rate',
+        usage: '!purge rate <type> rate=X',
+        description: 'Change how many members per hour a running purge removes, from the next batch on',
+        positional: 1,
+        run: async (ctx, options, positional) => {
+            const type = await getPurgeType(ctx, positional, '!purge rate <type> rate=X');
+            if (!type) return;
+            if (options.rate === undefined) {
+                await ctx.replyError('Usage: `!purge rate <type> rate=X`');
+                return;
+            }
+            await changePurgeRate(ctx, type, parseInt(options.rate));
+        }
+    });
+
+    commands.register({
+        name: 'purge log',
+        usage: '!purge log <type> [since=YYYY-MM-DD|7d]',
+        description: 'Download every KICK/SKIP/ERROR/WARN ledger entry of a purge type as CSV',
+        positional: 1,
+        run: async (ctx, options, positional) => {
+            const type = await getPurgeType(ctx, positional, '!purge log <type> [since=...]');
+            if (type) await purgeLog(ctx, type, options.since);
+        }
+    });
+
+    return {
+        startPurge,
+        dryRunPurge,
+        purgeStatus,
+        stopPurge,
+        pausePurge,
+        resumePurge,
+        changePurgeRate,
+        purgeLog,
+        getMemberPurgeStatus
+    };
 }
 
-module.exports = { setupPurgeCommands };
\ No newline at end of file
+module.exports = { setupPurgeCommands, formatCriteriaDuration, PURGE_TYPES };
\ No newline at end of file
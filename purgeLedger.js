@@ -0,0 +1,69 @@
+const { cleanCSVString } = require('./utils');
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_DIR = 'data';
+const LEDGER_ACTIONS = ['KICK', 'SKIP', 'ERROR', 'WARN', 'CONTROL'];
+
+// Append-only record of every purge KICK/SKIP/ERROR/WARN entry and CONTROL action for one guild
+class PurgeLedger {
+    constructor(guildId, debugLog) {
+        this.debugLog = debugLog;
+        this.filePath = path.join(LEDGER_DIR, `purge_ledger_${guildId}.ndjson`);
+    }
+
+    record(entry) {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            this.debugLog('Failed to write purge ledger:', error);
+        }
+    }
+
+    // Load entries, optionally filtered by purge type and start time
+    async load({ type = null, sinceMs = 0 } = {}) {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (e) {
+            return [];
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (type && entry.type !== type) continue;
+                if (Date.parse(entry.timestamp) < sinceMs) continue;
+                entries.push(entry);
+            } catch (e) {
+                // Skip partially written lines
+            }
+        }
+        return entries;
+    }
+}
+
+function buildLedgerCSV(entries) {
+    let csvContent = 'Timestamp (UTC),Type,Action,User ID,Username,Join Date (UTC),Reason\n';
+    for (const entry of entries) {
+        csvContent += [
+            entry.timestamp.replace('T', ' ').split('.')[0],
+            entry.type,
+            entry.action,
+            entry.userId || '',
+            cleanCSVString(entry.username || ''),
+            entry.joinDate || '',
+            cleanCSVString(entry.reason || entry.error || '')
+        ].join(',') + '\n';
+    }
+    return csvContent;
+}
+
+module.exports = {
+    LEDGER_ACTIONS,
+    PurgeLedger,
+    buildLedgerCSV
+};
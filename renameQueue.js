@@ -0,0 +1,179 @@
+// Discord allows two renames per channel every 10 minutes; requests past that
+// sit in discord.js's rate limit queue, so renames are budgeted here instead
+const RENAME_LIMIT = 2;
+const RENAME_WINDOW_MS = 10 * 60 * 1000;
+
+// Queue of channel renames that skips unchanged names, keeps only the latest
+// requested name per channel and waits for the channel's rename budget
+class ChannelRenameQueue {
+    constructor({ debugLog, limit = RENAME_LIMIT, windowMs = RENAME_WINDOW_MS } = {}) {
+        this.debugLog = debugLog || (() => {});
+        this.limit = limit;
+        this.windowMs = windowMs;
+        // channelId -> { guildId, channel, pending, renames, inFlight, lastRenamedAt, lastError, counts }
+        this.channels = new Map();
+        this.timer = null;
+    }
+
+    getState(channel) {
+        if (!this.channels.has(channel.id)) {
+            this.channels.set(channel.id, {
+                guildId: channel.guild.id,
+                channel,
+                pending: null,
+                renames: [],
+                inFlight: false,
+                lastRenamedAt: null,
+                lastError: null,
+                counts: { renamed: 0, skipped: 0, coalesced: 0, failed: 0 }
+            });
+        }
+        const state = this.channels.get(channel.id);
+        state.channel = channel;
+        return state;
+    }
+
+    // Ask for a channel to be renamed; returns 'skipped', 'queued' or 'coalesced'
+    request(channel, name) {
+        const state = this.getState(channel);
+
+        if (state.pending === null && !state.inFlight && channel.name === name) {
+            state.counts.skipped++;
+            return 'skipped';
+        }
+
+        // A newer count replaces a rename still waiting for budget
+        let result = 'queued';
+        if (state.pending !== null) {
+            state.counts.coalesced++;
+            result = 'coalesced';
+        }
+        state.pending = channel.name === name && !state.inFlight ? null : name;
+        this.process();
+        return result;
+    }
+
+    // Renames still allowed in the window and when the next one frees up
+    getBudget(state, now = Date.now()) {
+        state.renames = state.renames.filter(time => now - time < this.windowMs);
+        const remaining = this.limit - state.renames.length;
+        const nextAvailableAt = remaining > 0 ? now : state.renames[0] + this.windowMs;
+        return { remaining, nextAvailableAt };
+    }
+
+    process() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        let wakeAt = null;
+        for (const state of this.channels.values()) {
+            if (state.pending === null || state.inFlight) continue;
+
+            const { remaining, nextAvailableAt } = this.getBudget(state, now);
+            if (remaining > 0) {
+                this.rename(state);
+            } else if (wakeAt === null || nextAvailableAt < wakeAt) {
+                wakeAt = nextAvailableAt;
+            }
+        }
+
+        if (wakeAt !== null) {
+            this.timer = setTimeout(() => this.process(), Math.max(0, wakeAt - now) + 1000);
+        }
+    }
+
+    async rename(state) {
+        const name = state.pending;
+        state.pending = null;
+        state.inFlight = true;
+        state.renames.push(Date.now());
+
+        try {
+            // The name may have been changed by hand while waiting
+            if (state.channel.name === name) {
+                state.renames.pop();
+                state.counts.skipped++;
+            } else {
+                await state.channel.setName(name);
+                state.lastRenamedAt = Date.now();
+                state.lastError = null;
+                state.counts.renamed++;
+                this.debugLog(`Renamed channel ${state.channel.id} to ${name}`);
+            }
+        } catch (error) {
+            state.lastError = error.message;
+            state.counts.failed++;
+            this.debugLog(`Failed to rename channel ${state.channel.id} to ${name}:`, error);
+        } finally {
+            state.inFlight = false;
+            this.process();
+        }
+    }
+
+    // Forget channels of a guild the bot has left
+    clearGuild(guildId) {
+        for (const [channelId, state] of this.channels) {
+            if (state.guildId === guildId) this.channels.delete(channelId);
+        }
+    }
+
+    // Per-channel queue state for a guild, for the status command
+    getStatus(guildId) {
+        const now = Date.now();
+        return Array.from(this.channels.entries())
+            .filter(([, state]) => state.guildId === guildId)
+            .map(([channelId, state]) => ({
+                channelId,
+                name: state.channel.name,
+                pending: state.pending,
+                inFlight: state.inFlight,
+                lastRenamedAt: state.lastRenamedAt,
+                lastError: state.lastError,
+                counts: { ...state.counts },
+                ...this.getBudget(state, now)
+            }));
+    }
+}
+
+// Status message for !count channels status
+function buildRenameStatusText(queue, guildId, intervalMinutes) {
+    const toUnix = time => Math.floor(time / 1000);
+    const channels = queue.getStatus(guildId);
+    const lines = [
+        '📛 **Channel Name Updates**',
+        `Counts are checked every ${intervalMinutes} minutes. Discord allows ${queue.limit} renames per channel every ${queue.windowMs / 60000} minutes.`
+    ];
+
+    if (channels.length === 0) {
+        lines.push('', 'No channel updates yet.');
+        return lines.join('\n');
+    }
+
+    const totals = { renamed: 0, skipped: 0, coalesced: 0, failed: 0 };
+    for (const channel of channels) {
+        lines.push('', `<#${channel.channelId}> \`${channel.name}\``);
+        if (channel.inFlight) {
+            lines.push('• Renaming now');
+        } else if (channel.pending !== null) {
+            lines.push(`• Waiting to rename to \`${channel.pending}\` <t:${toUnix(channel.nextAvailableAt)}:R>`);
+        } else {
+            lines.push('• Up to date');
+        }
+        lines.push(`• Renames used: ${queue.limit - channel.remaining}/${queue.limit}` +
+            (channel.lastRenamedAt ? `, last renamed <t:${toUnix(channel.lastRenamedAt)}:R>` : ''));
+        if (channel.lastError) lines.push(`• Last error: ${channel.lastError}`);
+
+        for (const key of Object.keys(totals)) totals[key] += channel.counts[key];
+    }
+
+    lines.push('', `Since startup: ${totals.renamed} renamed, ${totals.skipped} unchanged and skipped, ${totals.coalesced} replaced by a newer count, ${totals.failed} failed`);
+
+    const text = lines.join('\n');
+    return text.length > 2000 ? text.slice(0, 1997) + '...' : text;
+}
+
+module.exports = {
+    ChannelRenameQueue,
+    buildRenameStatusText
+};
@@ -0,0 +1,323 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { createChannelContext } = require('./commandContext');
+const { parseCron, getNextRun } = require('./cron');
+const { parseExportFormat } = require('./exportWriter');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEDULE_STATE_FILE = path.join('data', 'schedules.json');
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Report types a schedule can post, with the handler that produces each
+const REPORT_TYPES = {
+    count: 'Member count embed (`!count`)',
+    unverified: 'Unverified member summary',
+    extract: 'Unverified member file (`!extract unverified`)',
+    export: 'Full member export (`!count export`)'
+};
+// Only file reports take a format
+const FILE_REPORT_TYPES = ['extract', 'export'];
+
+// Validate a schedule definition; throws an Error with a user-facing message when invalid
+function validateSchedule({ type, cron, format }) {
+    if (!type) {
+        throw new Error(`Choose a report type: ${Object.keys(REPORT_TYPES).join(', ')}.`);
+    }
+    if (!REPORT_TYPES[type]) {
+        throw new Error(`Invalid report type \`${type}\`. Use one of: ${Object.keys(REPORT_TYPES).join(', ')}.`);
+    }
+    parseCron(cron);
+    if (format !== undefined && format !== null) {
+        if (!FILE_REPORT_TYPES.includes(type)) {
+            throw new Error(`Only ${FILE_REPORT_TYPES.join(' and ')} reports take a format.`);
+        }
+        parseExportFormat(format);
+    }
+}
+
+function formatRunTime(date) {
+    return date ? date.toISOString().replace('T', ' ').substring(0, 16) + ' UTC' : 'never';
+}
+
+// Schedules added by command, plus when every schedule (including config ones) last ran.
+// Config schedules also record when they were first seen, which is where their runs count from.
+class ScheduleStore {
+    constructor({ debugLog, stateFile = SCHEDULE_STATE_FILE }) {
+        this.debugLog = debugLog;
+        this.stateFile = stateFile;
+        this.nextId = 1;
+        this.jobs = [];
+        this.lastRuns = {};
+        this.firstSeen = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            this.nextId = data.nextId || 1;
+            this.jobs = data.jobs || [];
+            this.lastRuns = data.lastRuns || {};
+            this.firstSeen = data.firstSeen || {};
+        } catch (e) {
+            // No schedules yet
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            fs.writeFileSync(this.stateFile, JSON.stringify({
+                nextId: this.nextId,
+                jobs: this.jobs,
+                lastRuns: this.lastRuns,
+                firstSeen: this.firstSeen
+            }, null, 2));
+        } catch (error) {
+            this.debugLog('Failed to save schedules:', error);
+        }
+    }
+
+    add(job) {
+        const saved = { id: String(this.nextId++), ...job };
+        this.jobs.push(saved);
+        this.save();
+        return saved;
+    }
+
+    remove(guildId, id) {
+        const index = this.jobs.findIndex(job => job.guildId === guildId && job.id === id);
+        if (index === -1) return null;
+        const [job] = this.jobs.splice(index, 1);
+        delete this.lastRuns[`${guildId}/${id}`];
+        this.save();
+        return job;
+    }
+
+    getLastRun(job) {
+        const value = this.lastRuns[`${job.guildId}/${job.id}`];
+        return value ? new Date(value) : null;
+    }
+
+    setLastRun(job, date) {
+        this.lastRuns[`${job.guildId}/${job.id}`] = date.toISOString();
+        this.save();
+    }
+
+    // When the schedule was added, or first seen for config schedules
+    getStart(job) {
+        if (job.createdAt) return new Date(job.createdAt);
+        const key = `${job.guildId}/${job.id}`;
+        if (!this.firstSeen[key]) {
+            this.firstSeen[key] = new Date().toISOString();
+            this.save();
+        }
+        return new Date(this.firstSeen[key]);
+    }
+}
+
+function setupScheduler(client, { getGuildConfig, debugLog, commands, handlers }) {
+    const store = new ScheduleStore({ debugLog });
+    // Jobs still running, so a long export isn't started twice
+    const running = new Set();
+    let checking = false;
+
+    // Config schedules are numbered config-1, config-2, ... in guilds.json order
+    function getJobs(guildId) {
+        const configJobs = (getGuildConfig(guildId).schedules || []).map((job, i) => ({
+            ...job,
+            id: `config-${i + 1}`,
+            guildId,
+            fromConfig: true
+        }));
+        return [...configJobs, ...store.jobs.filter(job => job.guildId === guildId)];
+    }
+
+    // Runs are counted from the last run, or from when the schedule was first seen.
+    // A run missed while the bot was offline happens once on the next check.
+    function getNextJobRun(job) {
+        return getNextRun(parseCron(job.cron), store.getLastRun(job) || store.getStart(job));
+    }
+
+    async function runJob(guild, job) {
+        const key = `${guild.id}/${job.id}`;
+        running.add(key);
+        store.setLastRun(job, new Date());
+
+        try {
+            const channel = guild.channels.cache.get(job.channelId);
+            if (!channel) {
+                debugLog(`Schedule ${job.id} in guild ${guild.name}: channel ${job.channelId} no longer exists`);
+                return;
+            }
+
+            debugLog(`Running scheduled ${job.type} report ${job.id} in guild ${guild.name}`);
+            const ctx = createChannelContext(channel);
+            if (job.type === 'count') await handlers.count(ctx);
+            else if (job.type === 'unverified') await handlers.unverified(ctx);
+            else if (job.type === 'extract') await handlers.extractUnverified(ctx, { format: job.format });
+            else if (job.type === 'export') await handlers.export(ctx, { format: job.format });
+        } catch (error) {
+            debugLog(`Error in scheduled report ${job.id}:`, error);
+        } finally {
+            running.delete(key);
+        }
+    }
+
+    async function checkSchedules() {
+        // A check that is still posting embed reports finishes first;
+        // anything that came due meanwhile runs once it does
+        if (checking) return;
+        checking = true;
+        try {
+            await runDueJobs();
+        } finally {
+            checking = false;
+        }
+    }
+
+    async function runDueJobs() {
+        const now = Date.now();
+        for (const guild of client.guilds.cache.values()) {
+            for (const job of getJobs(guild.id)) {
+                if (running.has(`${guild.id}/${job.id}`)) continue;
+                try {
+                    const nextRun = getNextJobRun(job);
+                    if (!nextRun || nextRun.getTime() > now) continue;
+                    // File reports can take a long time and run on their own, so they don't hold up
+                    // later checks; the running set keeps them from starting twice
+                    if (FILE_REPORT_TYPES.includes(job.type)) runJob(guild, job);
+                    else await runJob(guild, job);
+                } catch (error) {
+                    debugLog(`Skipping invalid schedule ${job.id} in guild ${guild.name}:`, error);
+                }
+            }
+        }
+    }
+
+    client.once('ready', () => {
+        checkSchedules();
+        setInterval(checkSchedules, CHECK_INTERVAL_MS);
+    });
+
+    // Resolve a channel argument (mention, ID or name) the bot can post reports in
+    function resolveReportChannel(guild, value) {
+        const id = value.replace(/^<#(\d+)>$/, '$1');
+        const name = value.replace(/^#/, '').toLowerCase();
+        const channel = guild.channels.cache.get(id) ||
+            guild.channels.cache.find(c => c.name.toLowerCase() === name);
+        if (!channel || !channel.isTextBased()) {
+            throw new Error(`Unknown text channel \`${value}\`.`);
+        }
+        const permissions = channel.permissionsFor(guild.members.me);
+        if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.AttachFiles])) {
+            throw new Error(`I can't post files in <#${channel.id}>.`);
+        }
+        return channel;
+    }
+
+    async function listSchedules(ctx) {
+        const jobs = getJobs(ctx.guild.id);
+        if (jobs.length === 0) {
+            await ctx.send('No scheduled reports. Add one with `!schedule add <type> <cron> [channel=#channel] [format=csv]`.');
+            return;
+        }
+
+        const lines = jobs.map(job => {
+            let nextRun = null;
+            try {
+                nextRun = getNextJobRun(job);
+            } catch (error) {
+                return `\`${job.id}\` • ${job.type} • invalid cron \`${job.cron}\``;
+            }
+            const format = job.format ? ` (${job.format})` : '';
+            const source = job.fromConfig ? ' • from config' : '';
+            return `\`${job.id}\` • ${job.type}${format} → <#${job.channelId}> • \`${job.cron}\` • next ${formatRunTime(nextRun)}, last ${formatRunTime(store.getLastRun(job))}${source}`;
+        });
+
+        let message = `📅 **Scheduled reports** (times in UTC)\n`;
+        for (const line of lines) {
+            if (message.length + line.length + 1 > 1900) {
+                await ctx.send(message);
+                message = '';
+            }
+            message += line + '\n';
+        }
+        await ctx.send(message);
+    }
+
+    // args: { type, cron, channel, format } as strings; channel defaults to the current one
+    async function addSchedule(ctx, args = {}) {
+        let channel;
+        const type = args.type ? args.type.toLowerCase() : undefined;
+        const format = args.format ? args.format.toLowerCase() : undefined;
+        try {
+            validateSchedule({ type, cron: args.cron, format });
+            channel = args.channel ? resolveReportChannel(ctx.guild, args.channel) : ctx.channel;
+        } catch (error) {
+            await ctx.replyError(error.message);
+            return;
+        }
+
+        const job = store.add({
+            guildId: ctx.guild.id,
+            channelId: channel.id,
+            type,
+            cron: parseCron(args.cron).expression,
+            ...(format ? { format } : {}),
+            createdBy: ctx.user.id,
+            createdAt: new Date().toISOString()
+        });
+        debugLog(`Schedule ${job.id} added in guild ${ctx.guild.name}: ${job.type} at "${job.cron}"`);
+        await ctx.send(`📅 Scheduled report \`${job.id}\` added: ${REPORT_TYPES[job.type]} in <#${channel.id}> at \`${job.cron}\` (UTC). Next run: ${formatRunTime(getNextJobRun(job))}.`);
+    }
+
+    async function removeSchedule(ctx, id) {
+        if (id && id.startsWith('config-')) {
+            await ctx.replyError(`Schedule \`${id}\` is defined in the guild config file; remove it there.`);
+            return;
+        }
+        const job = id ? store.remove(ctx.guild.id, id) : null;
+        if (!job) {
+            await ctx.replyError(`No schedule \`${id || ''}\`. Use \`!schedule list\` to see schedule IDs.`);
+            return;
+        }
+        debugLog(`Schedule ${job.id} removed in guild ${ctx.guild.name}`);
+        await ctx.send(`📅 Scheduled report \`${job.id}\` (${job.type} at \`${job.cron}\`) removed.`);
+    }
+
+    commands.register({
+        name: 'schedule list',
+        description: 'List scheduled reports with their next and last run',
+        run: ctx => listSchedules(ctx)
+    });
+
+    commands.register({
+        name: 'schedule add',
+        usage: '!schedule add <type> <cron> [channel=#channel] [format=csv]',
+        description: `Post a report on a UTC cron schedule; type is ${Object.keys(REPORT_TYPES).join(', ')}`,
+        positional: Infinity,
+        run: (ctx, options, [type, ...cron]) => addSchedule(ctx, {
+            type,
+            cron: cron.join(' '),
+            channel: options.channel,
+            format: options.format
+        })
+    });
+
+    commands.register({
+        name: 'schedule remove',
+        usage: '!schedule remove <id>',
+        description: 'Remove a scheduled report added with !schedule add',
+        positional: 1,
+        run: (ctx, options, [id]) => removeSchedule(ctx, id)
+    });
+
+    return { listSchedules, addSchedule, removeSchedule };
+}
+
+module.exports = {
+    REPORT_TYPES,
+    setupScheduler,
+    validateSchedule
+};
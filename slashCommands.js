@@ -0,0 +1,377 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { createInteractionContext } = require('./commandContext');
+const { PURGE_TYPES } = require('./purge');
+const { EXPORT_FORMATS } = require('./exportWriter');
+const { REPORT_TYPES } = require('./scheduler');
+
+const purgeTypeChoices = PURGE_TYPES.map(type => ({ name: type, value: type }));
+
+function addFormatOption(sub) {
+    return sub.addStringOption(option => option
+        .setName('format')
+        .setDescription('File format (default csv)')
+        .addChoices(...EXPORT_FORMATS.map(format => ({ name: format, value: format }))));
+}
+
+// Criteria options shared by purge start and dryrun
+function addPurgeCriteriaOptions(sub) {
+    return sub
+        .addStringOption(option => option
+            .setName('grace')
+            .setDescription('Only purge members who joined longer ago than this (e.g. 72h, default 24h)'))
+        .addStringOption(option => option
+            .setName('min_account_age')
+            .setDescription('Only purge accounts older than this (e.g. 30d)'))
+        .addStringOption(option => option
+            .setName('exempt')
+            .setDescription('Comma-separated roles to never purge (mentions, IDs or names)'))
+        .addStringOption(option => option
+            .setName('warn')
+            .setDescription('DM members this long before they are kicked (e.g. 12h)'));
+}
+
+function getPurgeCriteriaOptions(options) {
+    return {
+        grace: options.getString('grace') ?? undefined,
+        minAccountAge: options.getString('min_account_age') ?? undefined,
+        exempt: options.getString('exempt') ?? undefined,
+        warn: options.getString('warn') ?? undefined
+    };
+}
+
+// Application command definitions
+const commandData = [
+    new SlashCommandBuilder()
+        .setName('count')
+        .setDescription('Member counting commands')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('show')
+            .setDescription('Display current member counts by role tier'))
+        .addSubcommand(sub => addFormatOption(sub
+            .setName('export')
+            .setDescription('Generate a CSV export of all members with message counts')
+            .addStringOption(option => option
+                .setName('action')
+                .setDescription('Start a new export (default), export per-channel activity, or check on or cancel the running one')
+                .addChoices(
+                    { name: 'start', value: 'start' },
+                    { name: 'channels', value: 'channels' },
+                    { name: 'status', value: 'status' },
+                    { name: 'cancel', value: 'cancel' }
+                ))
+            .addStringOption(option => option
+                .setName('since')
+                .setDescription('Only count messages from this day on (YYYY-MM-DD)'))
+            .addStringOption(option => option
+                .setName('until')
+                .setDescription('Only count messages up to and including this day (YYYY-MM-DD)'))
+            .addStringOption(option => option
+                .setName('channels')
+                .setDescription('Comma-separated channels to count messages in (mentions, IDs or names)'))))
+        .addSubcommand(sub => addFormatOption(sub
+            .setName('unverified')
+            .setDescription('Page through unverified members')
+            .addIntegerOption(option => option
+                .setName('size')
+                .setDescription('Members per page (default 20)')
+                .setMinValue(1)
+                .setMaxValue(30))
+            .addStringOption(option => option
+                .setName('sort')
+                .setDescription('Order of the list (default join date)')
+                .addChoices(
+                    { name: 'join date', value: 'joined' },
+                    { name: 'account age', value: 'account' }
+                ))
+            .addIntegerOption(option => option
+                .setName('page')
+                .setDescription('Page to open')
+                .setMinValue(1))
+            .addStringOption(option => option
+                .setName('filters')
+                .setDescription('Space-separated filters, e.g. joined>7d account<30d'))
+            .addBooleanOption(option => option
+                .setName('csv')
+                .setDescription('Attach the full list (in format, default csv)'))))
+        .addSubcommand(sub => sub
+            .setName('member')
+            .setDescription('Look up one member')
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('Member to look up')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('channels')
+            .setDescription('Show pending channel name updates and rename limits'))
+        .addSubcommand(sub => sub
+            .setName('history')
+            .setDescription('Show day-by-day count changes')
+            .addIntegerOption(option => option
+                .setName('days')
+                .setDescription('Number of days to include (default 7)')
+                .setMinValue(1)
+                .setMaxValue(365))
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Only show this tier role'))),
+    new SlashCommandBuilder()
+        .setName('extract')
+        .setDescription('Export member lists to CSV')
+        .setDMPermission(false)
+        .addSubcommand(sub => addFormatOption(sub
+            .setName('unverified')
+            .setDescription('Export unverified members')))
+        .addSubcommand(sub => addFormatOption(sub
+            .setName('noroles')
+            .setDescription('Export members without any roles'))),
+    new SlashCommandBuilder()
+        .setName('purge')
+        .setDescription('Automated member purge operations')
+        .setDMPermission(false)
+        .addSubcommand(sub => addPurgeCriteriaOptions(sub
+            .setName('start')
+            .setDescription('Start an automated purge')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Which members to purge')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices))
+            .addIntegerOption(option => option
+                .setName('rate')
+                .setDescription('Members to kick per hour')
+                .setRequired(true)
+                .setMinValue(1))))
+        .addSubcommand(sub => addPurgeCriteriaOptions(sub
+            .setName('dryrun')
+            .setDescription('Preview who a purge would kick, without kicking')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Which members to purge')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices))
+            .addIntegerOption(option => option
+                .setName('rate')
+                .setDescription('Members to kick per hour')
+                .setMinValue(1))
+            .addIntegerOption(option => option
+                .setName('batches')
+                .setDescription('Number of hourly batches to include in the CSV')
+                .setMinValue(1))))
+        .addSubcommand(sub => sub
+            .setName('status')
+            .setDescription('Check the status of a purge operation')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Purge type')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices)))
+        .addSubcommand(sub => sub
+            .setName('log')
+            .setDescription('Download the purge kick ledger as CSV')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Purge type')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices))
+            .addStringOption(option => option
+                .setName('since')
+                .setDescription('Only entries since a date (YYYY-MM-DD) or duration (e.g. 7d)')))
+        .addSubcommand(sub => sub
+            .setName('stop')
+            .setDescription('Stop a purge operation')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Purge type')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices)))
+        .addSubcommand(sub => sub
+            .setName('pause')
+            .setDescription('Pause a purge operation')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Purge type')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices)))
+        .addSubcommand(sub => sub
+            .setName('resume')
+            .setDescription('Resume a paused purge operation')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Purge type')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices)))
+        .addSubcommand(sub => sub
+            .setName('rate')
+            .setDescription('Change the rate of a running purge operation')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Purge type')
+                .setRequired(true)
+                .addChoices(...purgeTypeChoices))
+            .addIntegerOption(option => option
+                .setName('rate')
+                .setDescription('Members to kick per hour')
+                .setRequired(true)
+                .setMinValue(1))),
+    new SlashCommandBuilder()
+        .setName('schedule')
+        .setDescription('Scheduled reports')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List scheduled reports and when they run next'))
+        .addSubcommand(sub => addFormatOption(sub
+            .setName('add')
+            .setDescription('Post a report on a schedule')
+            .addStringOption(option => option
+                .setName('type')
+                .setDescription('Which report to post')
+                .setRequired(true)
+                .addChoices(...Object.keys(REPORT_TYPES).map(type => ({ name: type, value: type }))))
+            .addStringOption(option => option
+                .setName('cron')
+                .setDescription('When to post, as a UTC cron expression (e.g. 0 9 * * mon)')
+                .setRequired(true))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to post in (default this one)'))))
+        .addSubcommand(sub => sub
+            .setName('remove')
+            .setDescription('Remove a scheduled report')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Schedule ID from /schedule list')
+                .setRequired(true)))
+].map(command => command.toJSON());
+
+async function registerGuildCommands(guild, debugLog) {
+    try {
+        await guild.commands.set(commandData);
+        debugLog(`Registered slash commands in guild ${guild.name}`);
+    } catch (error) {
+        debugLog(`Failed to register slash commands in guild ${guild.name}:`, error);
+    }
+}
+
+// The prefix command whose permission rule applies to a slash route
+function getCommandName(route, options) {
+    if (route === 'count show') return 'count';
+    if (route === 'count channels') return 'count channels status';
+    if (route === 'purge start' || route === 'purge dryrun') return 'purge';
+    if (route === 'count export') {
+        const action = options.getString('action');
+        return action && action !== 'start' ? `count export ${action}` : 'count export';
+    }
+    return route;
+}
+
+function setupSlashCommands(client, { debugLog, commands, handlers }) {
+    // Guild commands update instantly, unlike global ones
+    client.once('ready', async () => {
+        for (const guild of client.guilds.cache.values()) {
+            await registerGuildCommands(guild, debugLog);
+        }
+    });
+
+    client.on('guildCreate', guild => registerGuildCommands(guild, debugLog));
+
+    // Map of "command subcommand" -> handler(ctx, options)
+    const routes = {
+        'count show': ctx => handlers.count(ctx),
+        'count export': (ctx, options) => {
+            const action = options.getString('action');
+            const filters = {
+                since: options.getString('since') ?? undefined,
+                until: options.getString('until') ?? undefined,
+                channels: options.getString('channels') ?? undefined,
+                format: options.getString('format') ?? undefined
+            };
+            if (action === 'status') return handlers.exportStatus(ctx);
+            if (action === 'cancel') return handlers.exportCancel(ctx);
+            if (action === 'channels') return handlers.exportChannels(ctx, filters);
+            return handlers.export(ctx, filters);
+        },
+        'count unverified': (ctx, options) => handlers.unverified(
+            ctx,
+            {
+                size: options.getInteger('size') ?? undefined,
+                sort: options.getString('sort') ?? undefined,
+                page: options.getInteger('page') ?? undefined,
+                format: options.getString('format') ?? undefined
+            },
+            [...(options.getString('filters') || '').split(/\s+/).filter(Boolean), ...(options.getBoolean('csv') ? ['csv'] : [])]
+        ),
+        'count member': (ctx, options) => handlers.member(ctx, options.getUser('user').id),
+        'count channels': ctx => handlers.channelsStatus(ctx),
+        'count history': (ctx, options) => handlers.history(ctx, {
+            days: options.getInteger('days') ?? undefined,
+            role: options.getRole('role')?.id
+        }),
+        'extract unverified': (ctx, options) => handlers.extractUnverified(ctx, { format: options.getString('format') ?? undefined }),
+        'extract noroles': (ctx, options) => handlers.extractNoroles(ctx, { format: options.getString('format') ?? undefined }),
+        'purge start': (ctx, options) => handlers.purgeStart(
+            ctx,
+            options.getString('type'),
+            options.getInteger('rate'),
+            getPurgeCriteriaOptions(options)
+        ),
+        'purge dryrun': (ctx, options) => handlers.purgeDryRun(
+            ctx,
+            options.getString('type'),
+            options.getInteger('rate') ?? undefined,
+            options.getInteger('batches') ?? undefined,
+            getPurgeCriteriaOptions(options)
+        ),
+        'purge status': (ctx, options) => handlers.purgeStatus(ctx, options.getString('type')),
+        'purge stop': (ctx, options) => handlers.purgeStop(ctx, options.getString('type')),
+        'purge pause': (ctx, options) => handlers.purgePause(ctx, options.getString('type')),
+        'purge resume': (ctx, options) => handlers.purgeResume(ctx, options.getString('type')),
+        'purge rate': (ctx, options) => handlers.purgeRate(ctx, options.getString('type'), options.getInteger('rate')),
+        'purge log': (ctx, options) => handlers.purgeLog(ctx, options.getString('type'), options.getString('since') ?? undefined),
+        'schedule list': ctx => handlers.scheduleList(ctx),
+        'schedule add': (ctx, options) => handlers.scheduleAdd(ctx, {
+            type: options.getString('type'),
+            cron: options.getString('cron'),
+            channel: options.getChannel('channel')?.id,
+            format: options.getString('format') ?? undefined
+        }),
+        'schedule remove': (ctx, options) => handlers.scheduleRemove(ctx, options.getString('id'))
+    };
+
+    client.on('interactionCreate', async interaction => {
+        if (!interaction.isChatInputCommand() || !interaction.inGuild()) return;
+
+        const route = `${interaction.commandName} ${interaction.options.getSubcommand(false)}`;
+        const handler = routes[route];
+        if (!handler) return;
+
+        debugLog('Slash command received', {
+            channel: interaction.channelId,
+            user: interaction.user.tag,
+            command: route
+        });
+
+        // Same permission rules as the prefix command
+        const denial = commands.checkAccess(getCommandName(route, interaction.options), {
+            guild: interaction.guild,
+            member: interaction.member,
+            channelId: interaction.channelId
+        });
+        try {
+            if (denial) {
+                debugLog(`Slash command ${route} denied for ${interaction.user.tag}`);
+                await interaction.reply({ content: denial, ephemeral: true });
+                return;
+            }
+
+            // Member fetches and purge batches can exceed the 3 second reply window
+            await interaction.deferReply();
+            await handler(createInteractionContext(interaction), interaction.options);
+        } catch (error) {
+            debugLog(`Error in slash command ${route}:`, error);
+        }
+    });
+}
+
+module.exports = { setupSlashCommands };
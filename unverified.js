@@ -1,147 +1,159 @@
-const { AttachmentBuilder } = require('discord.js');
-
-function setupExtractCommands(client, { allowedChannels, allowedRoles, verifiedRoleId, debugLog }) {
-    client.on('messageCreate', async message => {
-        if (!message.content.startsWith('!extract')) return;
-        
-        debugLog('Extract command received', {
-            channel: message.channel.id,
-            user: message.author.tag
-        });
-
-        // Check channel permission
-        if (!allowedChannels.includes(message.channel.id)) {
-            debugLog('Command used in unauthorized channel');
-            return;
+const { parseExportFormat, writeExport } = require('./exportWriter');
+const { sendExportFile } = require('./exportDelivery');
+const fs = require('fs');
+const path = require('path');
+
+const MEMBER_COLUMNS = [
+    { key: 'userId', header: 'User ID' },
+    { key: 'username', header: 'Username' },
+    { key: 'displayName', header: 'Display Name' },
+    { key: 'joinedAt', header: 'Join Date (UTC)', type: 'datetime' },
+    { key: 'accountCreatedAt', header: 'Account Created (UTC)', type: 'datetime' }
+];
+
+function setupExtractCommands(client, { getGuildConfig, debugLog, commands }) {
+    // Write the rows in the requested format and attach the file.
+    // The file is only removed once it has been delivered
+    async function sendExport(ctx, baseName, format, columns, rows, content) {
+        const currentDate = new Date().toISOString().split('T')[0];
+        const fileName = `${baseName}_${currentDate}.${format}`;
+        const filePath = path.join(process.cwd(), `${baseName}_${Date.now()}.${format}`);
+
+        await writeExport(filePath, format, columns, rows, { sheetName: 'Members' });
+        try {
+            await sendExportFile(ctx, { filePath, fileName, format, columns, sheetName: 'Members', rows }, content);
+        } catch (error) {
+            debugLog(`Export kept locally at ${filePath}`);
+            throw error;
         }
-
-        // Check role permission
-        const memberRoles = message.member.roles.cache.map(role => role.name);
-        if (!allowedRoles.some(role => memberRoles.includes(role))) {
-            debugLog('Command used by unauthorized user');
+        await fs.promises.unlink(filePath).catch(() => {});
+        return fileName;
+    }
+
+    // Export unverified members for a message or slash command context
+    // args: { format } as a string, optional
+    async function extractUnverified(ctx, args = {}) {
+        let format;
+        try {
+            format = parseExportFormat(args.format);
+        } catch (error) {
+            await ctx.replyError(error.message);
             return;
         }
 
-        const command = message.content.toLowerCase().trim();
-        
-        if (command === '!extract unverified') {
-            try {
-                const guild = message.guild;
-                await guild.members.fetch();
-                debugLog('Fetched all guild members for extract command');
-
-                // Get unverified members
-                const unverifiedMembers = guild.members.cache
-                    .filter(member => !member.user.bot && !member.roles.cache.has(verifiedRoleId))
-                    .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
-
-                // Create CSV content with more detailed information
-                let csvContent = 'User ID,Username,Display Name,Join Date (UTC),Account Created (UTC)\n';
-                unverifiedMembers.forEach(member => {
-                    const joinDate = new Date(member.joinedTimestamp).toISOString().replace('T', ' ').split('.')[0];
-                    const createdDate = new Date(member.user.createdTimestamp).toISOString().replace('T', ' ').split('.')[0];
-                    const username = member.user.username.replace(/,/g, ' '); // Remove commas to avoid CSV issues
-                    const displayName = member.displayName.replace(/,/g, ' '); // Remove commas to avoid CSV issues
-                    
-                    csvContent += `${member.id},${username},${displayName},${joinDate},${createdDate}\n`;
-                });
-
-                if (unverifiedMembers.size === 0) {
-                    await message.channel.send('No unverified members found.');
-                    return;
-                }
-
-                // Create and send file
-                const currentDate = new Date().toISOString().split('T')[0];
-                const fileName = `unverified_members_${currentDate}.csv`;
-                
-                const attachment = new AttachmentBuilder(
-                    Buffer.from(csvContent, 'utf-8'), 
-                    { name: fileName }
-                );
-
-                await message.channel.send({
-                    content: `Found ${unverifiedMembers.size} unverified members. Data includes:\n` +
-                            '• User ID (for mentioning: <@user_id>)\n' +
-                            '• Username\n' +
-                            '• Display Name\n' +
-                            '• Join Date (UTC)\n' +
-                            '• Account Creation Date (UTC)',
-                    files: [attachment]
-                });
-
-                guild.members.cache.clear();
-                debugLog(`Extract command completed - ${unverifiedMembers.size} members exported to ${fileName}`);
-            } catch (error) {
-                debugLog('Error in extract command:', error);
-                await message.channel.send('An error occurred while extracting member data.');
+        try {
+            const guild = ctx.guild;
+            const { verifiedRoleId } = getGuildConfig(guild.id);
+            await guild.members.fetch();
+            debugLog('Fetched all guild members for extract command');
+
+            // Get unverified members
+            const unverifiedMembers = guild.members.cache
+                .filter(member => !member.user.bot && !member.roles.cache.has(verifiedRoleId))
+                .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
+
+            if (unverifiedMembers.size === 0) {
+                await ctx.send('No unverified members found.');
+                return;
             }
+
+            const rows = unverifiedMembers.map(member => [
+                member.id,
+                member.user.username,
+                member.displayName,
+                member.joinedTimestamp,
+                member.user.createdTimestamp
+            ]);
+
+            const fileName = await sendExport(ctx, 'unverified_members', format, MEMBER_COLUMNS, rows,
+                `Found ${unverifiedMembers.size} unverified members. Data includes:\n` +
+                '• User ID (for mentioning: <@user_id>)\n' +
+                '• Username\n' +
+                '• Display Name\n' +
+                '• Join Date (UTC)\n' +
+                '• Account Creation Date (UTC)');
+
+            guild.members.cache.clear();
+            debugLog(`Extract command completed - ${unverifiedMembers.size} members exported to ${fileName}`);
+        } catch (error) {
+            debugLog('Error in extract command:', error);
+            await ctx.replyError('An error occurred while extracting member data.');
+        }
+    }
+
+    // Export members without roles for a message or slash command context
+    // args: { format } as a string, optional
+    async function extractNoroles(ctx, args = {}) {
+        let format;
+        try {
+            format = parseExportFormat(args.format);
+        } catch (error) {
+            await ctx.replyError(error.message);
+            return;
         }
-        
-        else if (command === '!extract noroles') {
-            try {
-                const guild = message.guild;
-                await guild.members.fetch();
-                debugLog('Fetched all guild members for noroles extract command');
-
-                // Get members with no roles (except @everyone)
-                const noRoleMembers = guild.members.cache
-                    .filter(member => {
-                        // Filter out bots and count only users with exactly 1 role (@everyone)
-                        return !member.user.bot && member.roles.cache.size === 1;
-                    })
-                    .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
-
-                // Create CSV content with detailed information
-                let csvContent = 'User ID,Username,Display Name,Join Date (UTC),Account Created (UTC),Time Without Roles\n';
-                noRoleMembers.forEach(member => {
-                    const joinDate = new Date(member.joinedTimestamp).toISOString().replace('T', ' ').split('.')[0];
-                    const createdDate = new Date(member.user.createdTimestamp).toISOString().replace('T', ' ').split('.')[0];
-                    const username = member.user.username.replace(/,/g, ' ');
-                    const displayName = member.displayName.replace(/,/g, ' ');
-                    
-                    // Calculate time without roles
-                    const now = new Date();
-                    const joinTime = new Date(member.joinedTimestamp);
-                    const daysSinceJoin = Math.floor((now - joinTime) / (1000 * 60 * 60 * 24));
-                    const timeWithoutRoles = `${daysSinceJoin} days`;
-                    
-                    csvContent += `${member.id},${username},${displayName},${joinDate},${createdDate},${timeWithoutRoles}\n`;
-                });
-
-                if (noRoleMembers.size === 0) {
-                    await message.channel.send('No members without roles found.');
-                    return;
-                }
-
-                // Create and send file
-                const currentDate = new Date().toISOString().split('T')[0];
-                const fileName = `norole_members_${currentDate}.csv`;
-                
-                const attachment = new AttachmentBuilder(
-                    Buffer.from(csvContent, 'utf-8'), 
-                    { name: fileName }
-                );
-
-                await message.channel.send({
-                    content: `Found ${noRoleMembers.size} members without roles. Data includes:\n` +
-                            '• User ID (for mentioning: <@user_id>)\n' +
-                            '• Username\n' +
-                            '• Display Name\n' +
-                            '• Join Date (UTC)\n' +
-                            '• Account Creation Date (UTC)\n' +
-                            '• Time Without Roles',
-                    files: [attachment]
-                });
-
-                guild.members.cache.clear();
-                debugLog(`Extract noroles command completed - ${noRoleMembers.size} members exported to ${fileName}`);
-            } catch (error) {
-                debugLog('Error in extract noroles command:', error);
-                await message.channel.send('An error occurred while extracting member data.');
+
+        try {
+            const guild = ctx.guild;
+            await guild.members.fetch();
+            debugLog('Fetched all guild members for noroles extract command');
+
+            // Get members with no roles (except @everyone)
+            const noRoleMembers = guild.members.cache
+                .filter(member => {
+                    // Filter out bots and count only users with exactly 1 role (@everyone)
+                    return !member.user.bot && member.roles.cache.size === 1;
+                })
+                .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
+
+            if (noRoleMembers.size === 0) {
+                await ctx.send('No members without roles found.');
+                return;
             }
+
+            // Time without roles is counted from the join date
+            const now = Date.now();
+            const rows = noRoleMembers.map(member => [
+                member.id,
+                member.user.username,
+                member.displayName,
+                member.joinedTimestamp,
+                member.user.createdTimestamp,
+                Math.floor((now - member.joinedTimestamp) / (1000 * 60 * 60 * 24))
+            ]);
+            const columns = [...MEMBER_COLUMNS, { key: 'daysWithoutRoles', header: 'Days Without Roles', type: 'number' }];
+
+            const fileName = await sendExport(ctx, 'norole_members', format, columns, rows,
+                `Found ${noRoleMembers.size} members without roles. Data includes:\n` +
+                '• User ID (for mentioning: <@user_id>)\n' +
+                '• Username\n' +
+                '• Display Name\n' +
+                '• Join Date (UTC)\n' +
+                '• Account Creation Date (UTC)\n' +
+                '• Days Without Roles');
+
+            guild.members.cache.clear();
+            debugLog(`Extract noroles command completed - ${noRoleMembers.size} members exported to ${fileName}`);
+        } catch (error) {
+            debugLog('Error in extract noroles command:', error);
+            await ctx.replyError('An error occurred while extracting member data.');
         }
+    }
+
+    commands.register({
+        name: 'extract unverified',
+        usage: '!extract unverified [format=csv|json|ndjson|xlsx]',
+        description: 'Export unverified members with join and account creation dates',
+        run: (ctx, options) => extractUnverified(ctx, options)
     });
+
+    commands.register({
+        name: 'extract noroles',
+        usage: '!extract noroles [format=csv|json|ndjson|xlsx]',
+        description: 'Export members without any roles with days without roles',
+        run: (ctx, options) => extractNoroles(ctx, options)
+    });
+
+    return { extractUnverified, extractNoroles };
 }
 
-module.exports = { setupExtractCommands };
\ No newline at end of file
+module.exports = { MEMBER_COLUMNS, setupExtractCommands };
\ No newline at end of file
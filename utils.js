@@ -72,6 +72,25 @@ function formatDuration(seconds) {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Parse a duration like 30m, 72h, 3d or 2w into milliseconds; returns null if invalid
+function parseDuration(value) {
+    const match = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+    if (!match) return null;
+    const unitMs = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    return parseInt(match[1]) * unitMs[match[2].toLowerCase()];
+}
+
+// Parse key=value arguments, allowing quoted values with spaces
+function parseArgs(content) {
+    const args = {};
+    const pattern = /(\w+)=(?:"([^"]*)"|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        args[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+    }
+    return args;
+}
+
 // Create progress bar
 function createProgressBar(current, total, length = 20) {
     const progress = Math.floor((current / total) * length);
@@ -91,6 +110,8 @@ module.exports = {
     formatDate,
     cleanCSVString,
     formatDuration,
+    parseDuration,
+    parseArgs,
     createProgressBar,
     formatFileSize
 };
\ No newline at end of file